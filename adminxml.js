@@ -0,0 +1,321 @@
+// Structured parser for adminLog.xml
+// Entries are read with xml2js and mapped to the same event objects produced by parser.js.
+// Downloads can stop in the middle of an entry: only complete entries are consumed and the
+// caller resumes from `consumed` on the next poll. An entry that never closes (another entry
+// follows it, or it grows past MAX_ENTRY_CHARS) is skipped so the offset keeps moving.
+
+const { Parser } = require('xml2js');
+const { EVENT_TYPES, parseLine, parseTimestamp, sanitizePlayer, baseActionObject } = require('./parser');
+
+const ENTRY_TAGS = ['entry', 'event', 'record'];
+const ENTRY_OPEN = new RegExp(`<(${ENTRY_TAGS.join('|')})\\b`, 'gi');
+const ENTRY_NEXT = new RegExp(`<(?:${ENTRY_TAGS.join('|')})\\b`, 'gi');
+// An unterminated entry longer than this is not being written, it is broken
+const MAX_ENTRY_CHARS = 64 * 1024;
+
+const xmlParser = new Parser({
+  explicitArray: false,
+  explicitRoot: false,
+  mergeAttrs: true,
+  trim: true
+});
+
+// Map of normalized entry types to EVENT_TYPES
+const TYPE_ALIASES = {
+  kill: EVENT_TYPES.KILL,
+  killed: EVENT_TYPES.KILL,
+  pvp: EVENT_TYPES.KILL,
+  death: EVENT_TYPES.DEATH,
+  died: EVENT_TYPES.DEATH,
+  hit: EVENT_TYPES.HIT,
+  damage: EVENT_TYPES.HIT,
+  connect: EVENT_TYPES.CONNECT,
+  connected: EVENT_TYPES.CONNECT,
+  login: EVENT_TYPES.CONNECT,
+  disconnect: EVENT_TYPES.DISCONNECT,
+  disconnected: EVENT_TYPES.DISCONNECT,
+  logout: EVENT_TYPES.DISCONNECT,
+  chat: EVENT_TYPES.CHAT,
+  admin: EVENT_TYPES.ADMIN,
+  kick: EVENT_TYPES.ADMIN,
+  ban: EVENT_TYPES.ADMIN,
+  position: EVENT_TYPES.POSITION,
+  pos: EVENT_TYPES.POSITION,
+  playercount: EVENT_TYPES.PLAYER_COUNT,
+  players: EVENT_TYPES.PLAYER_COUNT,
+  playerlist: EVENT_TYPES.PLAYER_COUNT,
+  placed: EVENT_TYPES.OBJECT,
+  place: EVENT_TYPES.OBJECT,
+  object: EVENT_TYPES.OBJECT,
+  built: EVENT_TYPES.BASE_ACTION,
+  build: EVENT_TYPES.BASE_ACTION,
+  dismantled: EVENT_TYPES.BASE_ACTION,
+  dismantle: EVENT_TYPES.BASE_ACTION,
+  destroyed: EVENT_TYPES.BASE_ACTION,
+  destroy: EVENT_TYPES.BASE_ACTION,
+  base: EVENT_TYPES.BASE_ACTION
+};
+
+// Start of the next entry after `from`, or -1
+function nextEntry(text, from) {
+  ENTRY_NEXT.lastIndex = from;
+  const m = ENTRY_NEXT.exec(text);
+  return m ? m.index : -1;
+}
+
+// Split text into complete entry elements; anything after the last complete entry is left unconsumed,
+// unless it is an unterminated entry that can no longer complete (counted in `skipped`)
+function extractEntries(text) {
+  const entries = [];
+  let consumed = 0;
+  let skipped = 0;
+  ENTRY_OPEN.lastIndex = 0;
+  let m;
+  while ((m = ENTRY_OPEN.exec(text))) {
+    const start = m.index;
+    const tag = m[1];
+    const openEnd = text.indexOf('>', start);
+    const next = nextEntry(text, start + 1);
+    let end = -1;
+    if (openEnd !== -1 && (next === -1 || openEnd < next)) {
+      if (text[openEnd - 1] === '/') {
+        end = openEnd + 1;
+      } else {
+        const close = text.toLowerCase().indexOf(`</${tag.toLowerCase()}>`, openEnd);
+        // A closing tag past the next entry belongs to that one
+        if (close !== -1 && (next === -1 || close < next)) end = close + tag.length + 3;
+      }
+    }
+    if (end === -1) {
+      if (next !== -1) {
+        skipped += 1;
+        consumed = next;
+        ENTRY_OPEN.lastIndex = next;
+        continue;
+      }
+      if (text.length - start > MAX_ENTRY_CHARS) {
+        skipped += 1;
+        consumed = text.length;
+      }
+      break;
+    }
+    entries.push(text.slice(start, end));
+    consumed = end;
+    ENTRY_OPEN.lastIndex = end;
+  }
+  // Skip trailing markup that cannot start an entry (closing root, whitespace)
+  if (consumed < text.length && !/<(?:entry|event|record)\b|<[^>]*$/i.test(text.slice(consumed))) {
+    consumed = text.length;
+  }
+  return { entries, consumed, skipped };
+}
+
+function toObject(xml) {
+  let result = null;
+  // xml2js invokes the callback synchronously when async is disabled (default)
+  xmlParser.parseString(xml, (err, obj) => {
+    if (!err) result = obj;
+  });
+  return result;
+}
+
+// Case-insensitive lookup across attribute/child names
+function pick(obj, ...keys) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  const lowered = {};
+  for (const k of Object.keys(obj)) lowered[k.toLowerCase()] = obj[k];
+  for (const key of keys) {
+    const value = lowered[key.toLowerCase()];
+    if (value !== undefined && value !== '') return value;
+  }
+  return undefined;
+}
+
+function text(value) {
+  if (value == null) return undefined;
+  if (typeof value === 'object') return text(pick(value, '_', 'name', 'value'));
+  const s = String(value).trim();
+  return s || undefined;
+}
+
+function num(value) {
+  const s = text(value);
+  if (s == null) return undefined;
+  const n = Number(s.replace(/m$/i, ''));
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function position(value) {
+  if (value == null) return undefined;
+  if (typeof value === 'object') {
+    const x = pick(value, 'x');
+    const y = pick(value, 'y');
+    const z = pick(value, 'z');
+    if (x != null && y != null) return [x, y, z].filter(v => v != null).join(', ');
+    return position(pick(value, '_'));
+  }
+  return String(value).replace(/[<>]/g, '').split(/[\s,]+/).filter(Boolean).join(', ') || undefined;
+}
+
+// Player elements may be plain text (`<killer>John</killer>`) or carry attributes
+function player(value) {
+  if (value == null) return {};
+  if (typeof value !== 'object') return { name: sanitizePlayer(value) };
+  return {
+    name: sanitizePlayer(text(pick(value, 'name', '_'))),
+    steamId: text(pick(value, 'steamId', 'steam', 'uid')),
+    guid: text(pick(value, 'guid', 'beguid')),
+    ip: text(pick(value, 'ip')),
+    pos: position(pick(value, 'pos', 'position')),
+    hp: num(pick(value, 'hp', 'health'))
+  };
+}
+
+function entryType(obj) {
+  const raw = text(pick(obj, 'type', 'event', 'kind', 'action'));
+  if (!raw) return undefined;
+  return TYPE_ALIASES[raw.toLowerCase().replace(/[\s_-]/g, '')];
+}
+
+function mapEntry(obj) {
+  const type = entryType(obj);
+  const subject = player(pick(obj, 'player', 'name'));
+  const steamId = text(pick(obj, 'steamId')) || subject.steamId;
+  const location = text(pick(obj, 'location', 'near')) || position(pick(obj, 'pos', 'position')) || subject.pos;
+
+  switch (type) {
+    case EVENT_TYPES.KILL: {
+      const killer = player(pick(obj, 'killer', 'attacker', 'source'));
+      const victim = player(pick(obj, 'victim', 'target'));
+      return {
+        type,
+        killer: killer.name,
+        victim: victim.name,
+        weapon: text(pick(obj, 'weapon', 'item')),
+        location: text(pick(obj, 'location', 'near')) || victim.pos || location,
+        distance: num(pick(obj, 'distance', 'dist')),
+        hitZone: text(pick(obj, 'hitZone', 'zone', 'bodyPart')),
+        steamId: killer.steamId,
+        killerSteamId: killer.steamId,
+        victimSteamId: victim.steamId
+      };
+    }
+    case EVENT_TYPES.DEATH:
+      return {
+        type,
+        player: subject.name,
+        location,
+        cause: text(pick(obj, 'cause', 'reason')),
+        steamId
+      };
+    case EVENT_TYPES.HIT: {
+      const attacker = player(pick(obj, 'attacker', 'source', 'killer'));
+      const victim = player(pick(obj, 'victim', 'target'));
+      return {
+        type,
+        victim: victim.name,
+        victimPosition: victim.pos,
+        victimHp: victim.hp != null ? victim.hp : num(pick(obj, 'hp', 'victimHp')),
+        attacker: attacker.name,
+        attackerPosition: attacker.pos,
+        bodyPart: text(pick(obj, 'bodyPart', 'zone', 'part')),
+        damage: num(pick(obj, 'damage', 'dmg')),
+        damageType: text(pick(obj, 'damageType', 'ammo')),
+        weapon: text(pick(obj, 'weapon', 'item'))
+      };
+    }
+    case EVENT_TYPES.CONNECT:
+    case EVENT_TYPES.DISCONNECT:
+      return {
+        type,
+        player: subject.name,
+        steamId,
+        guid: text(pick(obj, 'guid')) || subject.guid,
+        ip: text(pick(obj, 'ip')) || subject.ip
+      };
+    case EVENT_TYPES.CHAT:
+      return {
+        type,
+        channel: text(pick(obj, 'channel')),
+        player: subject.name,
+        message: text(pick(obj, 'message', 'text', '_'))
+      };
+    case EVENT_TYPES.ADMIN: {
+      const action = text(pick(obj, 'command', 'action')) || text(pick(obj, 'type'));
+      const target = player(pick(obj, 'target', 'player'));
+      return {
+        type,
+        action: action ? action.toLowerCase() : undefined,
+        target: target.name,
+        reason: text(pick(obj, 'reason', 'message')),
+        actor: text(pick(obj, 'actor', 'admin', 'by')),
+        steamId: target.steamId
+      };
+    }
+    case EVENT_TYPES.POSITION:
+      return {
+        type,
+        player: subject.name,
+        coords: position(pick(obj, 'pos', 'position', 'coords')) || subject.pos
+      };
+    case EVENT_TYPES.PLAYER_COUNT:
+      return { type, count: num(pick(obj, 'count', 'players', 'total')) };
+    case EVENT_TYPES.OBJECT:
+      return {
+        type,
+        player: subject.name,
+        object: text(pick(obj, 'object', 'item', 'class')),
+        location
+      };
+    case EVENT_TYPES.BASE_ACTION: {
+      const rawAction = text(pick(obj, 'action', 'type')) || '';
+      const actionWord = (rawAction.match(/^(Built|Dismantled|Destroyed)/i) || [])[1] || rawAction;
+      const object = text(pick(obj, 'object', 'item', 'class'));
+      const detail = text(pick(obj, 'detail', 'message')) || [actionWord, object].filter(Boolean).join(' ') || undefined;
+      return {
+        type,
+        player: subject.name,
+        action: actionWord ? actionWord[0].toUpperCase() + actionWord.slice(1).toLowerCase() : undefined,
+        object: object || baseActionObject(detail),
+        detail,
+        location
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+function parseEntry(xml) {
+  const obj = toObject(xml);
+  if (!obj) return null;
+  const time = text(pick(obj, 'time', 'timestamp', 'date'));
+  const timestamp = time ? parseTimestamp(time) : new Date();
+  const base = { raw: xml.replace(/\s+/g, ' ').trim(), timestamp };
+
+  const mapped = mapEntry(obj);
+  if (mapped) return { ...base, ...mapped };
+
+  // Entries without a known type often just wrap the textual log line
+  const line = text(pick(obj, 'message', 'text', 'line', '_'));
+  if (!line) return null;
+  const evt = parseLine('adminxml', time ? `${time} ${line}` : line);
+  return evt ? { ...evt, raw: base.raw } : null;
+}
+
+// Parse a downloaded chunk of adminLog.xml.
+// Returns the events, the number of characters consumed (incomplete tail excluded) and the number
+// of broken entries skipped.
+function parseAdminXml(chunk) {
+  const { entries, consumed, skipped } = extractEntries(String(chunk || ''));
+  const events = [];
+  for (const xml of entries) {
+    const evt = parseEntry(xml);
+    if (evt) events.push(evt);
+  }
+  return { events, consumed, skipped };
+}
+
+module.exports = {
+  parseAdminXml
+};
@@ -0,0 +1,96 @@
+// Discord -> in-game chat bridge over BattlEye RCon (see rcon.js)
+// Messages posted in a server's "bridgeChannel" are broadcast with "say -1", prefixed with the
+// author: "[Discord] Name: text". Mentions and custom emojis are flattened, newlines joined and
+// the text cut to the length the in-game chat shows. Messages matching the blocklist (words or
+// "/regex/flags") are not relayed.
+// Relayed lines can come back through the logs as chat; those are recognised and not re-posted.
+
+const { EVENT_TYPES } = require('./parser');
+
+// Relayed texts are remembered this long, to recognise their echo a few log polls later
+const ECHO_TTL_MS = 15 * 60 * 1000;
+const REGEX_VALUE = /^\/(.+)\/([a-z]*)$/;
+
+let options = {
+  prefix: '[Discord]',
+  maxLength: 120,
+  blocklist: []
+};
+// normalized text -> relayed at (ms)
+const relayed = new Map();
+
+function compileBlock(entry) {
+  const re = String(entry).match(REGEX_VALUE);
+  if (re) return new RegExp(re[1], re[2]);
+  const escaped = String(entry).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`, 'i');
+}
+
+function configureBridge(opts = {}) {
+  options = {
+    ...options,
+    ...opts,
+    blocklist: (opts.blocklist || []).map(s => String(s).trim()).filter(Boolean).map(compileBlock)
+  };
+}
+
+function normalize(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Discord markup the game cannot show: <@id>, <#id>, <:emoji:id>, **bold**, links
+function flatten(message) {
+  return String(message.content || '')
+    .replace(/<@!?(\d+)>/g, (_, id) => {
+      const member = message.mentions && message.mentions.members && message.mentions.members.get(id);
+      return `@${member ? member.displayName : 'user'}`;
+    })
+    .replace(/<@&\d+>/g, '@role')
+    .replace(/<#\d+>/g, '#channel')
+    .replace(/<a?:(\w+):\d+>/g, ':$1:')
+    .replace(/\*\*|__|~~|\|\||`+/g, '')
+    .replace(/[\u0000-\u001F\u007F]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "[Discord] Name: text" for a Discord message, or null when there is nothing to relay
+function formatBridgeMessage(author, message) {
+  const text = flatten(message);
+  if (!text) return null;
+  if (options.blocklist.some(re => re.test(text))) return null;
+  const name = String(author || 'Discord').replace(/\s+/g, ' ').trim().slice(0, 32);
+  const line = `${options.prefix ? `${options.prefix} ` : ''}${name}: ${text}`;
+  return line.length > options.maxLength ? `${line.slice(0, options.maxLength - 1)}…` : line;
+}
+
+function pruneRelayed(now) {
+  for (const [text, at] of relayed) {
+    if (now - at > ECHO_TTL_MS) relayed.delete(text);
+  }
+}
+
+// Sends a Discord message in-game through `rcon`; resolves with the relayed line or null
+async function relayToGame(rcon, author, message) {
+  const line = formatBridgeMessage(author, message);
+  if (!line) return null;
+  await rcon.command(`say -1 ${line}`);
+  pruneRelayed(Date.now());
+  relayed.set(normalize(line), Date.now());
+  return line;
+}
+
+// True for chat events that are the bridge's own messages coming back through the logs
+function isBridgeEcho(evt) {
+  if (evt.type !== EVENT_TYPES.CHAT) return false;
+  if (options.prefix && normalize(evt.player).startsWith(normalize(options.prefix))) return true;
+  const message = normalize(evt.message);
+  return relayed.has(message) || relayed.has(normalize(`${evt.player}: ${evt.message}`));
+}
+
+module.exports = {
+  configureBridge,
+  formatBridgeMessage,
+  relayToGame,
+  isBridgeEcho
+};
@@ -0,0 +1,161 @@
+// Combat correlation: HIT events are grouped into engagements per victim instead of being posted
+// one by one. A following KILL/DEATH carries the hit breakdown; engagements that end without a
+// kill are summarized once they go quiet; a victim on low HP who disconnects shortly after being
+// hit raises a COMBAT_LOG alert.
+
+const { EVENT_TYPES } = require('./parser');
+
+const MAX_SEQUENCE = 15;
+
+let options = {
+  engagementTimeoutMs: 120 * 1000,
+  combatLogWindowMs: 30 * 1000,
+  combatLogHp: 50,
+  postHits: false
+};
+
+// server -> Map(victim key -> engagement)
+const engagements = new Map();
+// server -> { at, seenAt }: latest log time and the wall-clock time it was read
+const clocks = new Map();
+
+function configureCombat(opts) {
+  options = { ...options, ...opts };
+}
+
+function serverEngagements(server) {
+  if (!engagements.has(server)) engagements.set(server, new Map());
+  return engagements.get(server);
+}
+
+function victimKey(name) {
+  return String(name || '').toLowerCase();
+}
+
+function timeOf(evt) {
+  return evt.timestamp ? new Date(evt.timestamp).getTime() : Date.now();
+}
+
+// Log times are the game host's HH:MM:SS set on today's date in the bot's local time (parseTimestamp),
+// so host time zone and midnight make them unfit for comparing with Date.now(): the current time
+// of a server is its latest log time, moved forward by the time passed since that line was read
+function logClock(server) {
+  const clock = clocks.get(server);
+  return clock ? clock.at + (Date.now() - clock.seenAt) : Date.now();
+}
+
+function summarize(engagement) {
+  const hits = engagement.hits;
+  const attackers = [...new Set(hits.map(h => h.attacker).filter(Boolean))];
+  return {
+    shots: hits.length,
+    totalDamage: Math.round(hits.reduce((sum, h) => sum + (h.damage || 0), 0) * 10) / 10,
+    attackers,
+    firstHitAt: new Date(hits[0].at),
+    lastHitAt: new Date(hits[hits.length - 1].at),
+    sequence: hits.slice(-MAX_SEQUENCE).map(h => ({ ...h, at: new Date(h.at) }))
+  };
+}
+
+function engagementEvent(server, engagement) {
+  const summary = summarize(engagement);
+  return {
+    type: EVENT_TYPES.ENGAGEMENT,
+    victim: engagement.victim,
+    attacker: summary.attackers[0],
+    hits: summary,
+    server,
+    timestamp: summary.lastHitAt
+  };
+}
+
+// Returns the events to post for `evt` (possibly none, possibly extra alerts)
+function processCombat(evt) {
+  const server = evt.server || 'default';
+  const open = serverEngagements(server);
+  const at = timeOf(evt);
+  const clock = clocks.get(server);
+  if (evt.timestamp && (!clock || at >= clock.at)) clocks.set(server, { at, seenAt: Date.now() });
+
+  switch (evt.type) {
+    case EVENT_TYPES.HIT: {
+      const key = victimKey(evt.victim);
+      const engagement = open.get(key) || { victim: evt.victim, hits: [] };
+      engagement.hits.push({
+        attacker: evt.attacker,
+        bodyPart: evt.bodyPart,
+        damage: evt.damage,
+        damageType: evt.damageType,
+        weapon: evt.weapon,
+        victimHp: evt.victimHp,
+        at
+      });
+      engagement.lastAt = at;
+      open.set(key, engagement);
+      return options.postHits ? [evt] : [];
+    }
+    case EVENT_TYPES.KILL:
+    case EVENT_TYPES.DEATH: {
+      const key = victimKey(evt.type === EVENT_TYPES.KILL ? evt.victim : evt.player);
+      const engagement = open.get(key);
+      if (engagement) {
+        open.delete(key);
+        evt.hits = summarize(engagement);
+      }
+      return [evt];
+    }
+    case EVENT_TYPES.DISCONNECT: {
+      const key = victimKey(evt.player);
+      const engagement = open.get(key);
+      if (!engagement) return [evt];
+      open.delete(key);
+      const last = engagement.hits[engagement.hits.length - 1];
+      const sinceHit = at - last.at;
+      const lowHp = last.victimHp == null || last.victimHp <= options.combatLogHp;
+      if (sinceHit <= options.combatLogWindowMs && lowHp) {
+        return [evt, {
+          type: EVENT_TYPES.COMBAT_LOG,
+          player: evt.player,
+          steamId: evt.steamId,
+          attacker: last.attacker,
+          victimHp: last.victimHp,
+          secondsAfterHit: Math.round(sinceHit / 1000),
+          hits: summarize(engagement),
+          server,
+          timestamp: evt.timestamp
+        }];
+      }
+      return [evt, engagementEvent(server, engagement)];
+    }
+    default:
+      return [evt];
+  }
+}
+
+// Engagements quiet for longer than the timeout (in log time) become summary events
+function expireEngagements(server, now = logClock(server)) {
+  const open = serverEngagements(server);
+  const out = [];
+  for (const [key, engagement] of open) {
+    if (now - engagement.lastAt < options.engagementTimeoutMs) continue;
+    open.delete(key);
+    out.push(engagementEvent(server, engagement));
+  }
+  return out;
+}
+
+function formatHitSequence(summary, max = 10) {
+  return summary.sequence.slice(-max).map(h => {
+    const dmg = h.damage != null ? ` ${h.damage}` : '';
+    const hp = h.victimHp != null ? ` [HP ${h.victimHp}]` : '';
+    const weapon = h.weapon ? ` (${h.weapon})` : '';
+    return `${h.attacker || '?'} → ${h.bodyPart || '?'}${dmg}${weapon}${hp}`;
+  }).join('\n');
+}
+
+module.exports = {
+  configureCombat,
+  processCombat,
+  expireEngagements,
+  formatHitSequence
+};
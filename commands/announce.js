@@ -0,0 +1,34 @@
+// /announce: global message in-game (RCon "say -1")
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withServerOption, begin, oneLine, audit, enabled } = require('./moderation');
+const { t } = require('../i18n');
+
+function data({ servers }) {
+  return withServerOption(new SlashCommandBuilder()
+    .setName('announce')
+    .setDescription(t(null, 'cmd.announce.description')), servers)
+    .addStringOption(opt => opt
+      .setName('message')
+      .setDescription(t(null, 'cmd.announce.option'))
+      .setRequired(true)
+      .setMaxLength(200));
+}
+
+async function execute(interaction, ctx) {
+  const session = await begin(interaction, ctx);
+  if (!session) return;
+  const { server, rcon } = session;
+  const message = oneLine(interaction.options.getString('message'), 200);
+
+  await rcon.command(`say -1 ${message}`);
+  audit(interaction, ctx, server, { action: 'announce', reason: message });
+  await interaction.editReply(t(ctx.locale, 'cmd.announce.done', { server: server.name }));
+}
+
+module.exports = {
+  name: 'announce',
+  enabled,
+  data,
+  execute
+};
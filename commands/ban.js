@@ -0,0 +1,70 @@
+// /ban: bans an online player, or a BattlEye GUID of an offline one, over RCon (after confirmation)
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withServerOption, begin, confirm, findOnline, findOnlineAgain, oneLine, audit, autocompleteOnline, enabled } = require('./moderation');
+const { t } = require('../i18n');
+
+const GUID = /^[0-9a-f]{32}$/i;
+
+function data({ servers }) {
+  return withServerOption(new SlashCommandBuilder()
+    .setName('ban')
+    .setDescription(t(null, 'cmd.ban.description')), servers)
+    .addStringOption(opt => opt
+      .setName('player')
+      .setDescription(t(null, 'cmd.ban.option'))
+      .setRequired(true)
+      .setAutocomplete(true))
+    .addIntegerOption(opt => opt
+      .setName('minutes')
+      .setDescription(t(null, 'cmd.ban.minutes'))
+      .setMinValue(0))
+    .addStringOption(opt => opt
+      .setName('reason')
+      .setDescription(t(null, 'cmd.option.reasonShown')));
+}
+
+async function execute(interaction, ctx) {
+  const session = await begin(interaction, ctx);
+  if (!session) return;
+  const { server, rcon } = session;
+  const { locale } = ctx;
+  const name = interaction.options.getString('player').trim();
+  const minutes = interaction.options.getInteger('minutes') || 0;
+  const reason = oneLine(interaction.options.getString('reason'));
+  const duration = minutes ? t(locale, 'cmd.ban.duration', { minutes }) : t(locale, 'cmd.ban.permanent');
+
+  // Online players are banned by number (BattlEye kicks them too), anyone else by GUID
+  const player = await findOnline(rcon, name);
+  if (!player && !GUID.test(name)) {
+    await interaction.editReply(t(locale, 'cmd.ban.notOnline', { player: name, server: server.name }));
+    return;
+  }
+  const label = player ? player.name : name;
+  const question = t(locale, 'cmd.ban.confirm', { player: label, server: server.name, duration, reason: reason ? `: ${reason}` : '' });
+  if (!await confirm(interaction, question, locale)) return;
+
+  const current = player && await findOnlineAgain(rcon, player);
+  if (player && !current) {
+    await interaction.editReply({ content: t(locale, 'cmd.gone', { player: player.name, server: server.name }), components: [] });
+    return;
+  }
+  const args = `${minutes}${reason ? ` ${reason}` : ''}`;
+  await rcon.command(current ? `ban ${current.number} ${args}` : `addBan ${name.toLowerCase()} ${args}`);
+  audit(interaction, ctx, server, {
+    action: 'ban',
+    target: label,
+    guid: player ? player.guid : name.toLowerCase(),
+    duration: minutes,
+    reason: reason || undefined
+  });
+  await interaction.editReply({ content: t(locale, 'cmd.ban.done', { player: label, server: server.name, duration }), components: [] });
+}
+
+module.exports = {
+  name: 'ban',
+  enabled,
+  data,
+  execute,
+  autocomplete: autocompleteOnline
+};
@@ -0,0 +1,71 @@
+// Slash command registry
+// Each command module exports { name, data(ctx), execute(interaction, ctx) } and optionally autocomplete()
+// and enabled(ctx) (registered only when it returns true). Descriptions use the default locale;
+// replies use ctx.locale, the locale of the chosen (or only) server.
+
+const { t } = require('../i18n');
+const player = require('./player');
+const online = require('./online');
+const leaderboard = require('./leaderboard');
+const kick = require('./kick');
+const ban = require('./ban');
+const unban = require('./unban');
+const players = require('./players');
+const announce = require('./announce');
+const restart = require('./restart');
+const whitelist = require('./whitelist');
+
+const COMMANDS = [player, online, leaderboard, kick, ban, unban, players, announce, restart, whitelist];
+
+function activeCommands(ctx) {
+  return COMMANDS.filter(cmd => !cmd.enabled || cmd.enabled(ctx));
+}
+
+function commandData(ctx) {
+  return activeCommands(ctx).map(cmd => cmd.data(ctx).toJSON());
+}
+
+async function registerCommands(client, ctx, guildId) {
+  const data = commandData(ctx);
+  if (guildId) {
+    await client.application.commands.set(data, guildId);
+  } else {
+    await client.application.commands.set(data);
+  }
+  return data.length;
+}
+
+// Locale of the server picked in the "server" option, or of the only server
+function interactionLocale(interaction, servers) {
+  const name = interaction.options.getString('server');
+  const server = name ? servers.find(s => s.name === name) : servers.length === 1 ? servers[0] : null;
+  return server ? server.locale : undefined;
+}
+
+async function handleInteraction(interaction, baseCtx) {
+  if (!interaction.isChatInputCommand() && !interaction.isAutocomplete()) return;
+  const cmd = activeCommands(baseCtx).find(c => c.name === interaction.commandName);
+  if (!cmd) return;
+  const ctx = { ...baseCtx, locale: interactionLocale(interaction, baseCtx.servers) };
+  try {
+    if (interaction.isAutocomplete()) {
+      if (cmd.autocomplete) await cmd.autocomplete(interaction, ctx);
+      return;
+    }
+    await cmd.execute(interaction, ctx);
+  } catch (err) {
+    console.error(`Command /${interaction.commandName} failed:`, err.message);
+    if (interaction.isAutocomplete()) return;
+    const payload = { content: t(ctx.locale, 'cmd.error'), ephemeral: true };
+    try {
+      if (interaction.deferred && !interaction.replied) await interaction.editReply({ content: payload.content, components: [] });
+      else if (interaction.replied) await interaction.followUp(payload);
+      else await interaction.reply(payload);
+    } catch (_) { /* ignore */ }
+  }
+}
+
+module.exports = {
+  registerCommands,
+  handleInteraction
+};
@@ -0,0 +1,53 @@
+// /kick: kicks an online player over RCon (after confirmation)
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withServerOption, begin, confirm, findOnline, findOnlineAgain, oneLine, audit, autocompleteOnline, enabled } = require('./moderation');
+const { t } = require('../i18n');
+
+function data({ servers }) {
+  return withServerOption(new SlashCommandBuilder()
+    .setName('kick')
+    .setDescription(t(null, 'cmd.kick.description')), servers)
+    .addStringOption(opt => opt
+      .setName('player')
+      .setDescription(t(null, 'cmd.option.onlinePlayer'))
+      .setRequired(true)
+      .setAutocomplete(true))
+    .addStringOption(opt => opt
+      .setName('reason')
+      .setDescription(t(null, 'cmd.option.reasonShown')));
+}
+
+async function execute(interaction, ctx) {
+  const session = await begin(interaction, ctx);
+  if (!session) return;
+  const { server, rcon } = session;
+  const { locale } = ctx;
+  const name = interaction.options.getString('player');
+  const reason = oneLine(interaction.options.getString('reason'));
+
+  const player = await findOnline(rcon, name);
+  if (!player) {
+    await interaction.editReply(t(locale, 'cmd.notOnline', { player: name, server: server.name }));
+    return;
+  }
+  const question = t(locale, 'cmd.kick.confirm', { player: player.name, server: server.name, reason: reason ? ` (${reason})` : '' });
+  if (!await confirm(interaction, question, locale)) return;
+
+  const current = await findOnlineAgain(rcon, player);
+  if (!current) {
+    await interaction.editReply({ content: t(locale, 'cmd.gone', { player: player.name, server: server.name }), components: [] });
+    return;
+  }
+  await rcon.command(`kick ${current.number}${reason ? ` ${reason}` : ''}`);
+  audit(interaction, ctx, server, { action: 'kick', target: player.name, guid: player.guid, reason: reason || undefined });
+  await interaction.editReply({ content: t(locale, 'cmd.kick.done', { player: player.name, server: server.name }), components: [] });
+}
+
+module.exports = {
+  name: 'kick',
+  enabled,
+  data,
+  execute,
+  autocomplete: autocompleteOnline
+};
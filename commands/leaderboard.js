@@ -0,0 +1,56 @@
+// /leaderboard: kill rankings computed from stored events
+
+const { SlashCommandBuilder } = require('discord.js');
+const { METRICS, metricLabel, statsFor, buildLeaderboardEmbed } = require('../stats');
+const { t } = require('../i18n');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Labels are cmd.period.<key>
+const PERIODS = {
+  all: { days: 0 },
+  day: { days: 1 },
+  week: { days: 7 },
+  month: { days: 30 }
+};
+
+function data({ servers }) {
+  const builder = new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription(t(null, 'cmd.leaderboard.description'))
+    .addStringOption(opt => opt
+      .setName('metric')
+      .setDescription(t(null, 'cmd.leaderboard.metric'))
+      .addChoices(...Object.keys(METRICS).map(value => ({ name: metricLabel(value, null), value }))))
+    .addStringOption(opt => opt
+      .setName('period')
+      .setDescription(t(null, 'cmd.leaderboard.period'))
+      .addChoices(...Object.keys(PERIODS).map(value => ({ name: t(null, `cmd.period.${value}`), value }))));
+  if (servers.length > 1) {
+    builder.addStringOption(opt => opt
+      .setName('server')
+      .setDescription(t(null, 'cmd.option.server'))
+      .addChoices(...servers.slice(0, 25).map(s => ({ name: s.name, value: s.name }))));
+  }
+  return builder;
+}
+
+async function execute(interaction, { locale }) {
+  const metric = interaction.options.getString('metric') || 'kills';
+  const periodKey = interaction.options.getString('period') || 'all';
+  const period = PERIODS[periodKey];
+  const server = interaction.options.getString('server') || undefined;
+  const since = period.days ? new Date(Date.now() - period.days * DAY_MS) : undefined;
+  const embed = buildLeaderboardEmbed(statsFor({ server, since }), {
+    title: t(locale, 'cmd.leaderboard.title', { metric: metricLabel(metric, locale), period: t(locale, `cmd.period.${periodKey}`) }),
+    metric,
+    server,
+    locale
+  });
+  await interaction.reply({ embeds: [embed] });
+}
+
+module.exports = {
+  name: 'leaderboard',
+  data,
+  execute
+};
@@ -0,0 +1,173 @@
+// Shared helpers for the moderation commands executed over BattlEye RCon
+// (/kick, /ban, /unban, /players, /announce, /restart). Only servers with "rcon" are offered.
+// Access: members with one of ADMIN_ROLE_IDS, or with Manage Server when no role is configured.
+// Every action is published as an ADMIN event (actor = the Discord moderator, source "Discord"),
+// so it shows up in the same feed and store as the kicks and bans read from the logs.
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
+const { EVENT_TYPES } = require('../parser');
+const { t } = require('../i18n');
+const { onlinePlayers } = require('../sessions');
+
+const CONFIRM_MS = 30 * 1000;
+
+function rconServers(servers) {
+  return servers.filter(s => s.rcon);
+}
+
+// Commands are only registered when at least one server has RCon configured
+function enabled({ servers }) {
+  return rconServers(servers).length > 0;
+}
+
+// Adds the required "server" choice when there is more than one RCon server. Call it before the other
+// options: Discord rejects a command whose required options come after optional ones.
+function withServerOption(builder, servers) {
+  const list = rconServers(servers);
+  if (list.length > 1) {
+    builder.addStringOption(opt => opt
+      .setName('server')
+      .setDescription(t(null, 'cmd.option.server'))
+      .setRequired(true)
+      .addChoices(...list.slice(0, 25).map(s => ({ name: s.name, value: s.name }))));
+  }
+  return builder;
+}
+
+function isModerator(interaction, adminRoles) {
+  if (adminRoles.length) {
+    const roles = interaction.member && interaction.member.roles;
+    // Cached member (GuildMember) or raw API member (array of ids)
+    const ids = roles ? (Array.isArray(roles) ? roles : [...roles.cache.keys()]) : [];
+    return ids.some(id => adminRoles.includes(id));
+  }
+  return Boolean(interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild));
+}
+
+// Checks access and defers an ephemeral reply; returns { server, rcon } or null when refused
+async function begin(interaction, { servers, adminRoles = [], rconFor, locale }) {
+  if (!isModerator(interaction, adminRoles)) {
+    await interaction.reply({ content: t(locale, 'cmd.noPermission'), ephemeral: true });
+    return null;
+  }
+  const list = rconServers(servers);
+  const name = interaction.options.getString('server');
+  const server = name ? list.find(s => s.name === name) : list[0];
+  if (!server) {
+    await interaction.reply({ content: t(locale, 'cmd.noRcon'), ephemeral: true });
+    return null;
+  }
+  await interaction.deferReply({ ephemeral: true });
+  return { server, rcon: rconFor(server) };
+}
+
+// Asks the moderator to confirm with buttons; resolves true only on "confirm"
+async function confirm(interaction, question, locale) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('confirm').setLabel(t(locale, 'cmd.confirm')).setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId('cancel').setLabel(t(locale, 'cmd.cancel')).setStyle(ButtonStyle.Secondary)
+  );
+  const message = await interaction.editReply({ content: question, components: [row] });
+  try {
+    const click = await message.awaitMessageComponent({
+      filter: i => i.user.id === interaction.user.id,
+      time: CONFIRM_MS
+    });
+    const ok = click.customId === 'confirm';
+    await click.update({ content: ok ? `${question}\n${t(locale, 'cmd.inProgress')}` : t(locale, 'cmd.cancelled'), components: [] });
+    return ok;
+  } catch (_) {
+    await interaction.editReply({ content: t(locale, 'cmd.noConfirmation'), components: [] });
+    return false;
+  }
+}
+
+// "players" reply -> [{ number, ip, ping, guid, name, lobby }]
+function parsePlayers(text) {
+  const list = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const m = line.match(/^\s*(\d+)\s+([\d.]+):\d+\s+(-?\d+)\s+([0-9a-f]{32}|-)\(\w*\??\)\s+(.+?)(\s+\(Lobby\))?\s*$/i);
+    if (m) list.push({ number: Number(m[1]), ip: m[2], ping: Number(m[3]), guid: m[4], name: m[5], lobby: Boolean(m[6]) });
+  }
+  return list;
+}
+
+// "bans" reply -> [{ number, id (GUID or IP), minutes (null = permanent), reason }]
+function parseBans(text) {
+  const list = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const m = line.match(/^\s*(\d+)\s+([0-9a-f]{32}|\d{1,3}(?:\.\d{1,3}){3})\s+(perm|-|\d+)\s*(.*?)\s*$/i);
+    if (m) {
+      list.push({ number: Number(m[1]), id: m[2], minutes: /^\d+$/.test(m[3]) ? Number(m[3]) : null, reason: m[4] || undefined });
+    }
+  }
+  return list;
+}
+
+async function findOnline(rcon, name) {
+  const wanted = String(name).trim().toLowerCase();
+  const players = parsePlayers(await rcon.command('players'));
+  return players.find(p => p.name.toLowerCase() === wanted || p.guid === wanted) || null;
+}
+
+// Player and ban numbers change whenever someone joins, leaves or is unbanned, so the entry found
+// before the confirmation is looked up again right before acting on it. Null when it is gone.
+async function findOnlineAgain(rcon, player) {
+  const players = parsePlayers(await rcon.command('players'));
+  return players.find(p => p.name === player.name && (player.guid !== '-' ? p.guid === player.guid : p.ip === player.ip)) || null;
+}
+
+async function findBanAgain(rcon, ban) {
+  const bans = parseBans(await rcon.command('bans'));
+  return bans.find(b => b.id.toLowerCase() === ban.id.toLowerCase()) || null;
+}
+
+// Text kept short and on one line for BattlEye commands and kick/ban messages
+function oneLine(text, max = 100) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+function moderator(interaction) {
+  return (interaction.member && interaction.member.displayName) || interaction.user.username;
+}
+
+// Publishes the action as an ADMIN event
+function audit(interaction, ctx, server, fields) {
+  if (!ctx.publish) return;
+  ctx.publish(server, [{
+    type: EVENT_TYPES.ADMIN,
+    source: 'Discord',
+    actor: moderator(interaction),
+    actorId: interaction.user.id,
+    timestamp: new Date(),
+    ...fields
+  }]);
+}
+
+// Online players by session tracking, for the player option
+async function autocompleteOnline(interaction, { servers }) {
+  const focused = String(interaction.options.getFocused() || '').toLowerCase();
+  const name = interaction.options.getString('server');
+  const names = new Set();
+  for (const s of rconServers(servers).filter(x => !name || x.name === name)) {
+    onlinePlayers(s.name).forEach(p => p.player && names.add(p.player));
+  }
+  const matches = [...names].filter(n => n.toLowerCase().includes(focused)).slice(0, 25);
+  await interaction.respond(matches.map(n => ({ name: n.slice(0, 100), value: n.slice(0, 100) })));
+}
+
+module.exports = {
+  enabled,
+  isModerator,
+  withServerOption,
+  begin,
+  confirm,
+  parsePlayers,
+  parseBans,
+  findOnline,
+  findOnlineAgain,
+  findBanAgain,
+  oneLine,
+  audit,
+  autocompleteOnline
+};
@@ -0,0 +1,48 @@
+// /online: players currently online according to tracked sessions
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { onlinePlayers, formatDuration } = require('../sessions');
+const { t } = require('../i18n');
+
+const MAX_LINES = 25;
+
+function data({ servers }) {
+  const builder = new SlashCommandBuilder()
+    .setName('online')
+    .setDescription(t(null, 'cmd.online.description'));
+  if (servers.length > 1) {
+    builder.addStringOption(opt => opt
+      .setName('server')
+      .setDescription(t(null, 'cmd.option.server'))
+      .addChoices(...servers.slice(0, 25).map(s => ({ name: s.name, value: s.name }))));
+  }
+  return builder;
+}
+
+async function execute(interaction, { servers, locale }) {
+  const server = interaction.options.getString('server') || undefined;
+  const now = Date.now();
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'cmd.online.title'))
+    .setColor(0x57F287)
+    .setTimestamp(new Date());
+
+  let inferred = false;
+  for (const s of server ? servers.filter(x => x.name === server) : servers) {
+    const list = onlinePlayers(s.name);
+    inferred = inferred || list.some(p => p.inferred);
+    const lines = list.slice(0, MAX_LINES).map(p =>
+      `${p.player || p.steamId || t(locale, 'common.unknown')} — ${formatDuration(now - p.start)}${p.inferred ? ' *' : ''}`);
+    if (list.length > MAX_LINES) lines.push(t(locale, 'common.more', { count: list.length - MAX_LINES }));
+    embed.addFields({ name: `${s.name} (${list.length})`, value: lines.join('\n') || t(locale, 'common.none') });
+  }
+  if (inferred) embed.setDescription(t(locale, 'cmd.online.inferred'));
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+module.exports = {
+  name: 'online',
+  data,
+  execute
+};
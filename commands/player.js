@@ -0,0 +1,187 @@
+// /player: history of a player from locally stored events
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { EVENT_TYPES } = require('../parser');
+const { queryEvents, knownPlayers, involvement, playerQuery } = require('../store');
+const { findIdentity } = require('../identities');
+const { playtimeOf, formatDuration } = require('../sessions');
+const { t } = require('../i18n');
+
+const MAX_LINES = 10;
+
+function unix(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+// Pair CONNECT/DISCONNECT events (oldest first) into sessions
+function buildSessions(events) {
+  const sessions = [];
+  let open = null;
+  for (const evt of events) {
+    if (evt.type === EVENT_TYPES.CONNECT) {
+      if (open) sessions.push(open);
+      open = { start: evt.timestamp, server: evt.server };
+    } else if (evt.type === EVENT_TYPES.DISCONNECT) {
+      if (open) {
+        open.end = evt.timestamp;
+        sessions.push(open);
+        open = null;
+      } else {
+        sessions.push({ end: evt.timestamp, server: evt.server });
+      }
+    }
+  }
+  if (open) sessions.push(open);
+  return sessions;
+}
+
+function withPlayerOptions(sub, servers) {
+  sub.addStringOption(opt => opt
+    .setName('player')
+    .setDescription(t(null, 'cmd.player.option'))
+    .setRequired(true)
+    .setAutocomplete(true));
+  if (servers.length > 1) {
+    sub.addStringOption(opt => opt
+      .setName('server')
+      .setDescription(t(null, 'cmd.option.server'))
+      .addChoices(...servers.slice(0, 25).map(s => ({ name: s.name, value: s.name }))));
+  }
+  return sub;
+}
+
+function data({ servers }) {
+  return new SlashCommandBuilder()
+    .setName('player')
+    .setDescription(t(null, 'cmd.player.description'))
+    .addSubcommand(sub => withPlayerOptions(sub.setName('info').setDescription(t(null, 'cmd.player.info')), servers))
+    .addSubcommand(sub => withPlayerOptions(sub.setName('sessions').setDescription(t(null, 'cmd.player.sessions')), servers))
+    .addSubcommand(sub => withPlayerOptions(sub.setName('kills').setDescription(t(null, 'cmd.player.kills')), servers))
+    .addSubcommand(sub => withPlayerOptions(sub.setName('last-seen').setDescription(t(null, 'cmd.player.lastSeen')), servers));
+}
+
+function describeKill(evt, query, locale) {
+  const when = `<t:${unix(evt.timestamp)}:R>`;
+  if (evt.type === EVENT_TYPES.DEATH) {
+    return evt.cause ? t(locale, 'cmd.player.diedOf', { when, cause: evt.cause }) : t(locale, 'cmd.player.died', { when });
+  }
+  const role = involvement(evt, query);
+  const weapon = evt.weapon ? t(locale, 'cmd.player.withWeapon', { weapon: evt.weapon }) : '';
+  const distance = evt.distance != null ? ` (${evt.distance} m)` : '';
+  const unknown = t(locale, 'common.unknown');
+  if (role === 'victim') return t(locale, 'cmd.player.killedBy', { when, killer: evt.killer || unknown, weapon, distance });
+  return t(locale, 'cmd.player.killed', { when, victim: evt.victim || unknown, weapon, distance });
+}
+
+function info(embed, events, query, locale) {
+  const connects = events.filter(e => e.type === EVENT_TYPES.CONNECT);
+  const kills = events.filter(e => e.type === EVENT_TYPES.KILL && involvement(e, query) === 'killer');
+  const deaths = events.filter(e => e.type === EVENT_TYPES.DEATH ||
+    (e.type === EVENT_TYPES.KILL && involvement(e, query) === 'victim'));
+  const hits = events.filter(e => e.type === EVENT_TYPES.HIT && involvement(e, query) === 'attacker');
+  const identity = findIdentity(query.steamId || query.name);
+  const steamIds = identity && identity.steamId
+    ? [identity.steamId]
+    : [...new Set(events.map(e => e.steamId).filter(id => /^\d{17}$/.test(id || '')))];
+  const victims = [...new Set(hits.map(e => e.victim).filter(Boolean))];
+
+  embed.addFields(
+    { name: t(locale, 'cmd.player.firstSeen'), value: `<t:${unix(events[events.length - 1].timestamp)}:f>`, inline: true },
+    { name: t(locale, 'cmd.player.lastSeenField'), value: `<t:${unix(events[0].timestamp)}:R>`, inline: true },
+    { name: t(locale, 'cmd.player.connections'), value: String(connects.length), inline: true },
+    { name: t(locale, 'cmd.player.killCount'), value: String(kills.length), inline: true },
+    { name: t(locale, 'cmd.player.deathCount'), value: String(deaths.length), inline: true },
+    { name: t(locale, 'cmd.player.hitCount'), value: String(hits.length), inline: true }
+  );
+  const playtime = playtimeOf(query.name, query.steamId || (identity && identity.steamId));
+  if (playtime) {
+    embed.addFields({
+      name: t(locale, 'cmd.player.playtime'),
+      value: t(locale, 'cmd.player.playtimeValue', { duration: formatDuration(playtime.playtimeMs), sessions: playtime.sessions }),
+      inline: true
+    });
+  }
+  if (steamIds.length && !query.steamId) embed.addFields({ name: t(locale, 'field.steamId'), value: steamIds.join('\n') });
+  if (identity && identity.names.length > 1) {
+    embed.addFields({ name: t(locale, 'cmd.player.names'), value: identity.names.slice(-MAX_LINES).join(', ') });
+  }
+  if (identity && identity.alts.length) {
+    embed.addFields({ name: t(locale, 'field.alts'), value: identity.alts.slice(0, MAX_LINES).join(', ') });
+  }
+  if (victims.length) {
+    embed.addFields({ name: t(locale, 'cmd.player.victims'), value: victims.slice(0, MAX_LINES).join(', ') });
+  }
+}
+
+async function execute(interaction, { locale }) {
+  const sub = interaction.options.getSubcommand();
+  const player = interaction.options.getString('player', true);
+  const server = interaction.options.getString('server') || undefined;
+  const query = playerQuery(player);
+  const events = queryEvents({ player, server });
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'cmd.player.title', { player }))
+    .setColor(0x5865F2)
+    .setTimestamp(new Date());
+  if (server) embed.setFooter({ text: server });
+
+  if (!events.length) {
+    embed.setDescription(t(locale, 'cmd.player.noEvents'));
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  switch (sub) {
+    case 'info':
+      info(embed, events, query, locale);
+      break;
+    case 'sessions': {
+      const sessions = buildSessions(events.filter(e =>
+        e.type === EVENT_TYPES.CONNECT || e.type === EVENT_TYPES.DISCONNECT).reverse());
+      const lines = sessions.slice(-MAX_LINES).reverse().map(s => {
+        const start = s.start ? `<t:${unix(s.start)}:f>` : '?';
+        if (!s.end) return `${start} → ${t(locale, 'cmd.player.stillOnline')}`;
+        const length = s.start ? ` (${formatDuration(s.end - s.start)})` : '';
+        return `${start} → <t:${unix(s.end)}:t>${length}`;
+      });
+      embed.setDescription(lines.join('\n') || t(locale, 'cmd.player.noSessions'));
+      break;
+    }
+    case 'kills': {
+      const lines = events
+        .filter(e => e.type === EVENT_TYPES.KILL || e.type === EVENT_TYPES.DEATH)
+        .slice(0, MAX_LINES)
+        .map(e => describeKill(e, query, locale));
+      embed.setDescription(lines.join('\n') || t(locale, 'cmd.player.noKills'));
+      break;
+    }
+    case 'last-seen': {
+      const last = events[0];
+      const lastConnect = events.find(e => e.type === EVENT_TYPES.CONNECT);
+      const lastDisconnect = events.find(e => e.type === EVENT_TYPES.DISCONNECT);
+      embed.setDescription(t(locale, 'cmd.player.lastEvent', { when: `<t:${unix(last.timestamp)}:R>`, type: last.type }));
+      if (lastConnect) embed.addFields({ name: t(locale, 'cmd.player.lastConnect'), value: `<t:${unix(lastConnect.timestamp)}:f>`, inline: true });
+      if (lastDisconnect) embed.addFields({ name: t(locale, 'cmd.player.lastDisconnect'), value: `<t:${unix(lastDisconnect.timestamp)}:f>`, inline: true });
+      if (last.server) embed.addFields({ name: t(locale, 'field.server'), value: last.server, inline: true });
+      break;
+    }
+    default:
+      break;
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused();
+  const names = knownPlayers(String(focused || ''));
+  await interaction.respond(names.map(name => ({ name: name.slice(0, 100), value: name.slice(0, 100) })));
+}
+
+module.exports = {
+  name: 'player',
+  data,
+  execute,
+  autocomplete
+};
@@ -0,0 +1,38 @@
+// /players: players connected right now according to BattlEye (RCon "players")
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { withServerOption, begin, parsePlayers, enabled } = require('./moderation');
+const { t } = require('../i18n');
+
+const MAX_LINES = 40;
+
+function data({ servers }) {
+  return withServerOption(new SlashCommandBuilder()
+    .setName('players')
+    .setDescription(t(null, 'cmd.players.description')), servers);
+}
+
+async function execute(interaction, ctx) {
+  const session = await begin(interaction, ctx);
+  if (!session) return;
+  const { server, rcon } = session;
+  const { locale } = ctx;
+  const players = parsePlayers(await rcon.command('players'));
+
+  const lines = players.slice(0, MAX_LINES).map(p =>
+    `\`#${p.number}\` ${p.name}${p.lobby ? ` (${t(locale, 'cmd.players.lobby')})` : ''} — ${p.ping} ms — \`${p.guid}\``);
+  if (players.length > MAX_LINES) lines.push(t(locale, 'common.more', { count: players.length - MAX_LINES }));
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'cmd.players.title', { server: server.name, count: players.length }))
+    .setDescription(lines.join('\n') || t(locale, 'common.none'))
+    .setColor(0x57F287)
+    .setTimestamp(new Date());
+  await interaction.editReply({ embeds: [embed] });
+}
+
+module.exports = {
+  name: 'players',
+  enabled,
+  data,
+  execute
+};
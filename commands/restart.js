@@ -0,0 +1,121 @@
+// /restart: restarts the server over RCon ("#shutdown", the host brings it back up) after confirmation,
+// with an optional in-game countdown. One countdown per server, cancelled with /restart cancel:true.
+// The countdown only lives in memory: if the bot restarts meanwhile, neither the warnings nor the
+// shutdown (and its audit event) happen.
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withServerOption, begin, confirm, oneLine, audit, enabled } = require('./moderation');
+const { t } = require('../i18n');
+
+const MINUTE_MS = 60 * 1000;
+// Countdown warnings, in minutes before the restart
+const WARNINGS = [30, 15, 10, 5, 3, 2, 1];
+
+// Scheduled restarts by server id: { at, timers }
+const pending = new Map();
+
+function data({ servers }) {
+  return withServerOption(new SlashCommandBuilder()
+    .setName('restart')
+    .setDescription(t(null, 'cmd.restart.description')), servers)
+    .addIntegerOption(opt => opt
+      .setName('minutes')
+      .setDescription(t(null, 'cmd.restart.minutes'))
+      .setMinValue(0)
+      .setMaxValue(60))
+    .addStringOption(opt => opt
+      .setName('reason')
+      .setDescription(t(null, 'cmd.option.reason')))
+    .addBooleanOption(opt => opt
+      .setName('cancel')
+      .setDescription(t(null, 'cmd.restart.cancel')));
+}
+
+// In-game warnings use the server's locale
+function warn(rcon, server, minutes) {
+  const text = minutes === 1 ? t(server.locale, 'cmd.restart.warningOne') : t(server.locale, 'cmd.restart.warning', { minutes });
+  rcon.command(`say -1 ${text}`)
+    .catch(err => console.error(`[${server.name}] RCon restart warning failed:`, err.message));
+}
+
+function schedule(server, minutes, run) {
+  const timers = [];
+  const at = Date.now() + minutes * MINUTE_MS;
+  for (const w of WARNINGS.filter(w => w < minutes)) {
+    timers.push(setTimeout(run.warn, (minutes - w) * MINUTE_MS, w));
+  }
+  timers.push(setTimeout(() => {
+    pending.delete(server.id);
+    run.shutdown();
+  }, minutes * MINUTE_MS));
+  pending.set(server.id, { at, timers });
+}
+
+async function cancel(interaction, ctx, server, rcon) {
+  const { locale } = ctx;
+  const scheduled = pending.get(server.id);
+  if (!scheduled) {
+    await interaction.editReply(t(locale, 'cmd.restart.noneScheduled', { server: server.name }));
+    return;
+  }
+  scheduled.timers.forEach(clearTimeout);
+  pending.delete(server.id);
+  rcon.command(`say -1 ${t(server.locale, 'cmd.restart.cancelledInGame')}`)
+    .catch(err => console.error(`[${server.name}] RCon restart warning failed:`, err.message));
+  audit(interaction, ctx, server, { action: 'restart cancelled' });
+  await interaction.editReply(t(locale, 'cmd.restart.cancelled', { server: server.name }));
+}
+
+async function execute(interaction, ctx) {
+  const session = await begin(interaction, ctx);
+  if (!session) return;
+  const { server, rcon } = session;
+  const { locale } = ctx;
+  if (interaction.options.getBoolean('cancel')) {
+    await cancel(interaction, ctx, server, rcon);
+    return;
+  }
+  const minutes = interaction.options.getInteger('minutes') || 0;
+  const reason = oneLine(interaction.options.getString('reason'));
+  const alreadyScheduled = () => {
+    const scheduled = pending.get(server.id);
+    return scheduled && t(locale, 'cmd.restart.alreadyScheduled', { server: server.name, when: `<t:${Math.floor(scheduled.at / 1000)}:R>` });
+  };
+
+  let refusal = alreadyScheduled();
+  if (refusal) {
+    await interaction.editReply(refusal);
+    return;
+  }
+  const when = minutes ? t(locale, 'cmd.restart.in', { minutes }) : t(locale, 'cmd.restart.now');
+  if (!await confirm(interaction, t(locale, 'cmd.restart.confirm', { server: server.name, when }), locale)) return;
+  // Another moderator may have scheduled one while this confirmation was open
+  refusal = alreadyScheduled();
+  if (refusal) {
+    await interaction.editReply({ content: refusal, components: [] });
+    return;
+  }
+
+  const fields = { action: 'restart', reason: reason || undefined, delayMinutes: minutes };
+  if (!minutes) {
+    await rcon.command('#shutdown');
+    audit(interaction, ctx, server, fields);
+    await interaction.editReply({ content: t(locale, 'cmd.restart.started', { server: server.name }), components: [] });
+    return;
+  }
+  warn(rcon, server, minutes);
+  schedule(server, minutes, {
+    warn: w => warn(rcon, server, w),
+    shutdown: () => rcon.command('#shutdown')
+      .then(() => audit(interaction, ctx, server, fields))
+      .catch(err => console.error(`[${server.name}] RCon restart failed:`, err.message))
+  });
+  await interaction.editReply({ content: t(locale, 'cmd.restart.scheduled', { server: server.name, when }), components: [] });
+}
+
+module.exports = {
+  name: 'restart',
+  enabled,
+  data,
+  execute
+};
@@ -0,0 +1,48 @@
+// /unban: removes a BattlEye ban by GUID or IP over RCon (after confirmation)
+
+const { SlashCommandBuilder } = require('discord.js');
+const { withServerOption, begin, confirm, parseBans, findBanAgain, audit, enabled } = require('./moderation');
+const { t } = require('../i18n');
+
+function data({ servers }) {
+  return withServerOption(new SlashCommandBuilder()
+    .setName('unban')
+    .setDescription(t(null, 'cmd.unban.description')), servers)
+    .addStringOption(opt => opt
+      .setName('ban')
+      .setDescription(t(null, 'cmd.unban.option'))
+      .setRequired(true));
+}
+
+async function execute(interaction, ctx) {
+  const session = await begin(interaction, ctx);
+  if (!session) return;
+  const { server, rcon } = session;
+  const { locale } = ctx;
+  const id = interaction.options.getString('ban').trim().toLowerCase();
+
+  const ban = parseBans(await rcon.command('bans')).find(b => b.id.toLowerCase() === id);
+  if (!ban) {
+    await interaction.editReply(t(locale, 'cmd.unban.notFound', { id, server: server.name }));
+    return;
+  }
+  const question = t(locale, 'cmd.unban.confirm', { id: ban.id, reason: ban.reason ? ` (${ban.reason})` : '', server: server.name });
+  if (!await confirm(interaction, question, locale)) return;
+
+  // removeBan renumbers the list, so the number is only valid right after "bans"
+  const current = await findBanAgain(rcon, ban);
+  if (!current) {
+    await interaction.editReply({ content: t(locale, 'cmd.unban.gone', { id: ban.id, server: server.name }), components: [] });
+    return;
+  }
+  await rcon.command(`removeBan ${current.number}`);
+  audit(interaction, ctx, server, { action: 'unban', target: ban.id, reason: ban.reason });
+  await interaction.editReply({ content: t(locale, 'cmd.unban.done', { id: ban.id, server: server.name }), components: [] });
+}
+
+module.exports = {
+  name: 'unban',
+  enabled,
+  data,
+  execute
+};
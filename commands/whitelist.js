@@ -0,0 +1,143 @@
+// /whitelist: view and edit the whitelist files of the servers over FTP (see whitelist.js)
+// Same access as the moderation commands (ADMIN_ROLE_IDS or Manage Server).
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { isModerator } = require('./moderation');
+const { entryId, isSteamId } = require('../whitelist');
+const { t } = require('../i18n');
+
+const PAGE_SIZE = 30;
+
+function whitelistServers(servers) {
+  return servers.filter(s => s.whitelistFiles.length);
+}
+
+function enabled({ servers }) {
+  return whitelistServers(servers).length > 0;
+}
+
+// Required options must come before optional ones: "server" goes first, "file" last
+function withServer(sub, servers) {
+  const list = whitelistServers(servers);
+  if (list.length > 1) {
+    sub.addStringOption(opt => opt
+      .setName('server')
+      .setDescription(t(null, 'cmd.option.server'))
+      .setRequired(true)
+      .addChoices(...list.slice(0, 25).map(s => ({ name: s.name, value: s.name }))));
+  }
+  return sub;
+}
+
+function withFile(sub, servers) {
+  const files = [...new Set(whitelistServers(servers).flatMap(s => s.whitelistFiles))];
+  if (files.length > 1) {
+    sub.addStringOption(opt => opt
+      .setName('file')
+      .setDescription(t(null, 'cmd.whitelist.file'))
+      .addChoices(...files.slice(0, 25).map(f => ({ name: f, value: f }))));
+  }
+  return sub;
+}
+
+function withSteamId(sub) {
+  return sub.addStringOption(opt => opt
+    .setName('steamid')
+    .setDescription(t(null, 'cmd.option.steamId'))
+    .setRequired(true));
+}
+
+function data({ servers }) {
+  return new SlashCommandBuilder()
+    .setName('whitelist')
+    .setDescription(t(null, 'cmd.whitelist.description'))
+    .addSubcommand(sub => withFile(withSteamId(withServer(sub.setName('add').setDescription(t(null, 'cmd.whitelist.add')), servers)), servers))
+    .addSubcommand(sub => withFile(withSteamId(withServer(sub.setName('remove').setDescription(t(null, 'cmd.whitelist.remove')), servers)), servers))
+    .addSubcommand(sub => withFile(withServer(sub
+      .setName('list')
+      .setDescription(t(null, 'cmd.whitelist.list')), servers)
+      .addIntegerOption(opt => opt.setName('page').setDescription(t(null, 'cmd.whitelist.page')).setMinValue(1)), servers))
+    .addSubcommand(sub => withServer(sub
+      .setName('search')
+      .setDescription(t(null, 'cmd.whitelist.search')), servers)
+      .addStringOption(opt => opt.setName('query').setDescription(t(null, 'cmd.whitelist.query')).setRequired(true)));
+}
+
+async function execute(interaction, ctx) {
+  const { locale } = ctx;
+  if (!isModerator(interaction, ctx.adminRoles || [])) {
+    await interaction.reply({ content: t(locale, 'cmd.noPermission'), ephemeral: true });
+    return;
+  }
+  const list = whitelistServers(ctx.servers);
+  const serverName = interaction.options.getString('server');
+  const server = serverName ? list.find(s => s.name === serverName) : list[0];
+  const fileOption = interaction.options.getString('file');
+  if (!server || (fileOption && !server.whitelistFiles.includes(fileOption))) {
+    await interaction.reply({ content: t(locale, 'cmd.whitelist.noFile'), ephemeral: true });
+    return;
+  }
+  const file = fileOption || server.whitelistFiles[0];
+  const sub = interaction.options.getSubcommand();
+  await interaction.deferReply({ ephemeral: true });
+
+  if (sub === 'add' || sub === 'remove') {
+    const steamId = interaction.options.getString('steamid').trim();
+    if (!isSteamId(steamId)) {
+      await interaction.editReply(t(locale, 'cmd.whitelist.invalidSteamId', { steamId }));
+      return;
+    }
+    const actor = { id: interaction.user.id, name: (interaction.member && interaction.member.displayName) || interaction.user.username };
+    let result;
+    try {
+      result = await ctx.editWhitelist(server, file, sub === 'add' ? { add: [steamId] } : { remove: [steamId] }, actor);
+    } catch (err) {
+      if (err.code !== 'CONFLICT') throw err;
+      await interaction.editReply(t(locale, 'cmd.whitelist.conflict', { file }));
+      return;
+    }
+    const changed = sub === 'add' ? result.added.length : result.removed.length;
+    const key = sub === 'add'
+      ? (changed ? 'cmd.whitelist.added' : 'cmd.whitelist.alreadyListed')
+      : (changed ? 'cmd.whitelist.removed' : 'cmd.whitelist.notListed');
+    const message = t(locale, key, { steamId, file });
+    await interaction.editReply(t(locale, 'cmd.whitelist.result', { message, server: server.name, count: result.entries.length }));
+    return;
+  }
+
+  if (sub === 'list') {
+    const entries = await ctx.readWhitelist(server, file);
+    const pages = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+    const page = Math.min(interaction.options.getInteger('page') || 1, pages);
+    const embed = new EmbedBuilder()
+      .setTitle(`${file} (${server.name})`)
+      .setDescription(entries.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(e => `\`${e}\``).join('\n') || t(locale, 'cmd.whitelist.noEntries'))
+      .setFooter({ text: t(locale, 'cmd.whitelist.pageFooter', { count: entries.length, page, pages }) })
+      .setColor(0x5865F2);
+    await interaction.editReply({ embeds: [embed] });
+    return;
+  }
+
+  // search
+  const query = interaction.options.getString('query').trim().toLowerCase();
+  const lines = [];
+  for (const f of server.whitelistFiles) {
+    const entries = await ctx.readWhitelist(server, f);
+    entries
+      .filter(e => e.toLowerCase().includes(query) || entryId(e) === query)
+      .forEach(e => lines.push(`\`${e}\` — ${f}`));
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'cmd.whitelist.searchTitle', { query, server: server.name }))
+    .setDescription(lines.slice(0, PAGE_SIZE).join('\n') || t(locale, 'cmd.whitelist.noResults'))
+    .setColor(0x5865F2);
+  if (lines.length > PAGE_SIZE) embed.setFooter({ text: t(locale, 'common.more', { count: lines.length - PAGE_SIZE }) });
+  await interaction.editReply({ embeds: [embed] });
+}
+
+module.exports = {
+  name: 'whitelist',
+  enabled,
+  data,
+  execute
+};
@@ -0,0 +1,124 @@
+// Filtering and deduplication of events before they are posted (default: data/filters.json)
+// Events are still stored and tracked (sessions, identities); this only decides what is sent.
+// Reloads when the file changes.
+//
+// {
+//   "include": [{ "types": ["kill", "death", "connect", "disconnect", "chat"] }],  // optional allow-list
+//   "exclude": [
+//     { "types": ["position"] },
+//     { "where": { "player": ["AdminAlt", "AdminAlt2"] } },
+//     { "types": ["base_action"], "where": { "object": "/^(Fence|Watchtower)/i" } }
+//   ],
+//   "dedupe": { "windowSeconds": 30, "types": ["connect", "disconnect"] }
+// }
+//
+// "where" matches like routes do (see router.js); base actions name their structure in "object"
+// (the Fence of "Built base on Fence with Shovel"). Deduplication drops an event when one with the
+// same type and player name was seen within the window (e.g. the BattlEye and ADM lines of the same
+// join, only one of which carries the SteamID); SteamIDs are compared only when both events have
+// one. Without a file, connects and disconnects are deduplicated over 30 seconds.
+
+const fs = require('fs');
+const { matchesWhere } = require('./router');
+
+const DEFAULT_DEDUPE = { windowSeconds: 30, types: ['connect', 'disconnect'] };
+
+let config = normalizeConfig({});
+let watchedFile = null;
+// dedupe key -> { at: event time, seenAt: arrival time (ms), steamId }
+const seen = new Map();
+
+function toList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+function normalizeRule(rule) {
+  return { types: toList(rule.types || rule.type), where: rule.where || {} };
+}
+
+function normalizeConfig(data) {
+  const dedupe = data.dedupe === false ? null : { ...DEFAULT_DEDUPE, ...(data.dedupe || {}) };
+  return {
+    include: data.include ? (Array.isArray(data.include) ? data.include : [data.include]).map(normalizeRule) : null,
+    exclude: (Array.isArray(data.exclude) ? data.exclude : data.exclude ? [data.exclude] : []).map(normalizeRule),
+    dedupe: dedupe && Number(dedupe.windowSeconds) > 0
+      ? { windowMs: Number(dedupe.windowSeconds) * 1000, types: toList(dedupe.types) }
+      : null
+  };
+}
+
+function loadFilters(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[Filters] Read failed for ${file}:`, err.message);
+    config = normalizeConfig({});
+    return config;
+  }
+  try {
+    config = normalizeConfig(JSON.parse(raw));
+  } catch (err) {
+    // Keep the previous filters so a half-saved file does not flood the channels
+    console.error(`[Filters] Invalid JSON in ${file}:`, err.message);
+  }
+  return config;
+}
+
+// Reload filters whenever the file is modified, without restarting the bot
+function watchFilters(file, onReload) {
+  if (watchedFile) fs.unwatchFile(watchedFile);
+  watchedFile = file;
+  const watcher = fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    const loaded = loadFilters(file);
+    if (onReload) onReload(loaded);
+  });
+  watcher.unref();
+}
+
+function matchesRule(evt, rule) {
+  if (rule.types.length && !rule.types.includes(evt.type)) return false;
+  return matchesWhere(evt, rule.where);
+}
+
+function dedupeName(evt) {
+  const name = String(evt.player || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return name || `#${evt.steamId}`;
+}
+
+function isDuplicate(evt, dedupe) {
+  if (dedupe.types.length && !dedupe.types.includes(evt.type)) return false;
+  if (!evt.player && !evt.steamId) return false;
+  const at = evt.timestamp ? new Date(evt.timestamp).getTime() : Date.now();
+  const key = [evt.server, evt.type, dedupeName(evt)].join('|');
+  const last = seen.get(key);
+  const duplicate = last != null && Math.abs(at - last.at) <= dedupe.windowMs &&
+    (!evt.steamId || !last.steamId || evt.steamId === last.steamId);
+  seen.set(key, { at, seenAt: Date.now(), steamId: evt.steamId || (duplicate ? last.steamId : undefined) });
+  return duplicate;
+}
+
+function pruneSeen(now, windowMs) {
+  for (const [key, entry] of seen) {
+    if (now - entry.seenAt > windowMs * 2) seen.delete(key);
+  }
+}
+
+// Returns the events that should be posted
+function filterEvents(events) {
+  const { include, exclude, dedupe } = config;
+  if (dedupe) pruneSeen(Date.now(), dedupe.windowMs);
+  return events.filter(evt => {
+    if (include && !include.some(rule => matchesRule(evt, rule))) return false;
+    if (exclude.some(rule => matchesRule(evt, rule))) return false;
+    return !(dedupe && isDuplicate(evt, dedupe));
+  });
+}
+
+module.exports = {
+  loadFilters,
+  watchFilters,
+  filterEvents
+};
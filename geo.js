@@ -0,0 +1,123 @@
+// Map coordinates: parses positions, names the nearest town and links to iZurvive
+// Town lists live in locations/<map>.json (approximate town centres, bundled for Chernarus and
+// Livonia); a file with the same name in data/locations/ replaces the bundled one or adds a map:
+//
+// { "size": 12800, "izurvive": "namalsk", "locations": [{ "name": "Vorkuta", "x": 6800, "y": 11300, "type": "town" }] }
+//
+// Positions in the logs are "x, y, z" with y pointing north and z the altitude.
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_DIR = path.join(__dirname, 'locations');
+// Known maps without a bundled town list still get links and tiles
+const MAPS = {
+  chernarusplus: { size: 15360, izurvive: '' },
+  enoch: { size: 12800, izurvive: 'livonia' },
+  namalsk: { size: 12800, izurvive: 'namalsk' },
+  deerisle: { size: 16384, izurvive: 'deerisle' },
+  sakhal: { size: 15360, izurvive: 'sakhal' }
+};
+const ALIASES = { chernarus: 'chernarusplus', livonia: 'enoch' };
+const DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+// Closer than this the position is simply "in" the town
+const IN_TOWN_M = 300;
+
+let overrideDir = null;
+const cache = new Map();
+
+function configureGeo({ dataDir }) {
+  overrideDir = path.join(dataDir, 'locations');
+  cache.clear();
+}
+
+function mapKey(map) {
+  const key = String(map || 'chernarusplus').toLowerCase();
+  return ALIASES[key] || key;
+}
+
+function readMapFile(dir, key) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${key}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[Geo] Invalid locations file for ${key}:`, err.message);
+    return null;
+  }
+}
+
+// { size, izurvive, locations } for a map, or null when nothing is known about it
+function mapInfo(map) {
+  const key = mapKey(map);
+  if (!cache.has(key)) {
+    const data = (overrideDir && readMapFile(overrideDir, key)) || readMapFile(BUNDLED_DIR, key);
+    const known = MAPS[key];
+    cache.set(key, data || known ? {
+      key,
+      size: Number((data && data.size) || (known && known.size) || 15360),
+      izurvive: data && data.izurvive != null ? data.izurvive : known ? known.izurvive : key,
+      locations: (data && data.locations) || []
+    } : null);
+  }
+  return cache.get(key);
+}
+
+// "6563.5, 2642.8, 6.2" / "<6563.5 2642.8 6.2>" -> { x, y, z }
+function parsePosition(text) {
+  if (text == null) return undefined;
+  const numbers = String(text).match(/-?\d+(?:\.\d+)?/g);
+  if (!numbers || numbers.length < 2) return undefined;
+  // Named places ("near Berezino") carry no numbers; anything else with digits must be a plain list
+  if (/[a-z]{3,}/i.test(String(text))) return undefined;
+  const [x, y, z] = numbers.map(Number);
+  return z != null ? { x, y, z } : { x, y };
+}
+
+function nearestLocation(map, pos) {
+  const info = mapInfo(map);
+  if (!info || !pos) return undefined;
+  let best;
+  for (const loc of info.locations) {
+    const d = Math.hypot(pos.x - loc.x, pos.y - loc.y);
+    if (!best || d < best.distance) best = { name: loc.name, distance: d, loc };
+  }
+  if (!best) return undefined;
+  const angle = (Math.atan2(pos.x - best.loc.x, pos.y - best.loc.y) * 180 / Math.PI + 360) % 360;
+  return {
+    name: best.name,
+    distance: Math.round(best.distance),
+    direction: best.distance < IN_TOWN_M ? undefined : DIRECTIONS[Math.round(angle / 45) % 8]
+  };
+}
+
+function mapLink(map, pos) {
+  const info = mapInfo(map);
+  if (!pos) return undefined;
+  const slug = info ? info.izurvive : mapKey(map);
+  return `https://www.izurvive.com/${slug ? `${slug}/` : ''}#location=${pos.x.toFixed(2)};${pos.y.toFixed(2)}`;
+}
+
+// Event field holding the position, by type
+const POSITION_FIELDS = ['coords', 'location', 'victimPosition'];
+
+// Adds `pos` ({ x, y, z }), `nearest` ({ name, distance, direction }) and `mapUrl` to events with coordinates
+function processGeo(evt, map) {
+  for (const field of POSITION_FIELDS) {
+    const pos = parsePosition(evt[field]);
+    if (!pos) continue;
+    evt.pos = pos;
+    evt.mapUrl = mapLink(map, pos);
+    const nearest = nearestLocation(map, pos);
+    if (nearest) evt.nearest = nearest;
+    return;
+  }
+}
+
+module.exports = {
+  configureGeo,
+  mapKey,
+  mapInfo,
+  parsePosition,
+  nearestLocation,
+  mapLink,
+  processGeo
+};
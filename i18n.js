@@ -0,0 +1,69 @@
+// Message catalogs for embeds (locales/<code>.json)
+// The locale is picked per route, then per server, then the default (LOCALE, "it" if unset).
+// Missing keys fall back to the default locale and then to Italian, the reference catalog.
+// Single strings can be overridden from a JSON file (default: data/strings.json):
+//
+// {
+//   "en": { "kill.title": "Frag", "kill.description": "{killer} fragged {victim}" },
+//   "it": { "server.crash": "Il server e' crashato" }
+// }
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const REFERENCE_LOCALE = 'it';
+
+const catalogs = {};
+let defaultLocale = REFERENCE_LOCALE;
+let overrides = {};
+
+for (const file of fs.readdirSync(LOCALES_DIR)) {
+  if (file.endsWith('.json')) {
+    catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+  }
+}
+
+// "en-US" -> "en"; unknown locales become the default
+function normalizeLocale(locale) {
+  if (!locale) return defaultLocale;
+  const code = String(locale).toLowerCase();
+  if (catalogs[code] || overrides[code]) return code;
+  const base = code.split(/[-_]/)[0];
+  return catalogs[base] || overrides[base] ? base : defaultLocale;
+}
+
+function configureI18n({ locale, overridesFile } = {}) {
+  overrides = {};
+  if (overridesFile && fs.existsSync(overridesFile)) {
+    overrides = JSON.parse(fs.readFileSync(overridesFile, 'utf8'));
+  }
+  defaultLocale = REFERENCE_LOCALE;
+  defaultLocale = normalizeLocale(locale);
+  return Object.keys(catalogs);
+}
+
+function lookup(locale, key) {
+  for (const code of [locale, defaultLocale, REFERENCE_LOCALE]) {
+    const value = (overrides[code] && overrides[code][key]) ?? (catalogs[code] && catalogs[code][key]);
+    if (value != null) return value;
+  }
+  return key;
+}
+
+// "{name}" placeholders are filled from `vars`
+function t(locale, key, vars = {}) {
+  return String(lookup(normalizeLocale(locale), key)).replace(/\{(\w+)\}/g, (_, name) => vars[name] ?? '');
+}
+
+function translator(locale) {
+  const code = normalizeLocale(locale);
+  return (key, vars) => t(code, key, vars);
+}
+
+module.exports = {
+  configureI18n,
+  normalizeLocale,
+  t,
+  translator
+};
@@ -0,0 +1,235 @@
+// Player identity registry (data/identities.json)
+// Learns name <-> SteamID <-> GUID <-> IP associations from every event, fills in missing IDs on
+// later events (e.g. kill lines that only carry names), records name changes and flags accounts
+// connecting from the same IP. IPs stay in the registry and are never copied onto events.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EVENT_TYPES } = require('./parser');
+
+let file = null;
+let db = { players: {} };
+let dirty = false;
+// Derived lookups, rebuilt on load
+const byName = new Map();
+const byGuid = new Map();
+const byIp = new Map();
+// SteamID -> BattlEye GUID, computed on demand
+const beGuids = new Map();
+
+// Name field -> SteamID field pairs found on events
+const PAIRS = [
+  ['player', 'steamId'],
+  ['killer', 'killerSteamId'],
+  ['victim', 'victimSteamId'],
+  ['attacker', 'attackerSteamId'],
+  ['target', 'steamId']
+];
+
+function stripPort(ip) {
+  return ip ? String(ip).replace(/:\d+$/, '') : undefined;
+}
+
+function addToSet(map, key, id) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(id);
+}
+
+function indexRecord(id, rec) {
+  for (const n of rec.names) byName.set(n.name.toLowerCase(), id);
+  for (const g of rec.guids) byGuid.set(g, id);
+  for (const ip of rec.ips) addToSet(byIp, ip, id);
+}
+
+function openIdentities(dataDir) {
+  file = path.join(dataDir, 'identities.json');
+  try {
+    db = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!db.players) db.players = {};
+  } catch (_) {
+    db = { players: {} };
+  }
+  byName.clear();
+  byGuid.clear();
+  byIp.clear();
+  for (const [id, rec] of Object.entries(db.players)) indexRecord(id, rec);
+  return Object.keys(db.players).length;
+}
+
+function saveIdentities() {
+  if (!file || !dirty) return;
+  try {
+    fs.writeFileSync(file, JSON.stringify(db, null, 2));
+    dirty = false;
+  } catch (err) {
+    console.error('[Identities] Save failed:', err.message);
+  }
+}
+
+function currentName(rec) {
+  return rec.names.length ? rec.names[rec.names.length - 1].name : undefined;
+}
+
+function newRecord(steamId, now) {
+  return { steamId, names: [], guids: [], ips: [], firstSeen: now, lastSeen: now };
+}
+
+// A GUID-only record is folded into the SteamID record once both are seen together
+function mergeInto(targetId, sourceId) {
+  if (targetId === sourceId || !db.players[sourceId]) return;
+  const target = db.players[targetId];
+  const source = db.players[sourceId];
+  for (const n of source.names) {
+    if (!target.names.some(x => x.name === n.name)) target.names.unshift(n);
+  }
+  source.guids.forEach(g => { if (!target.guids.includes(g)) target.guids.push(g); });
+  source.ips.forEach(ip => { if (!target.ips.includes(ip)) target.ips.push(ip); });
+  target.firstSeen = Math.min(target.firstSeen, source.firstSeen);
+  delete db.players[sourceId];
+  for (const [key, id] of byName) if (id === sourceId) byName.set(key, targetId);
+  for (const [key, id] of byGuid) if (id === sourceId) byGuid.set(key, targetId);
+  for (const ids of byIp.values()) {
+    if (ids.delete(sourceId)) ids.add(targetId);
+  }
+}
+
+// Record what an event tells about one player; returns { id, previousName }
+function learn({ name, steamId, guid, ip }, now) {
+  let id = steamId || (guid && byGuid.get(guid)) || (guid ? `guid:${guid}` : null);
+  if (!id) return {};
+  if (steamId && guid && byGuid.has(guid)) mergeInto(steamId, byGuid.get(guid));
+  if (!db.players[id]) db.players[id] = newRecord(steamId, now);
+  const rec = db.players[id];
+  rec.lastSeen = now;
+  dirty = true;
+
+  let previousName;
+  if (name) {
+    const last = currentName(rec);
+    const known = rec.names.find(n => n.name === name);
+    if (last && last !== name) previousName = last;
+    if (known) {
+      known.lastSeen = now;
+      // Keep the current name last
+      rec.names = rec.names.filter(n => n !== known).concat(known);
+    } else {
+      rec.names.push({ name, firstSeen: now, lastSeen: now });
+    }
+    byName.set(name.toLowerCase(), id);
+  }
+  if (guid && !rec.guids.includes(guid)) {
+    rec.guids.push(guid);
+    byGuid.set(guid, id);
+  }
+  const addr = stripPort(ip);
+  if (addr && !rec.ips.includes(addr)) {
+    rec.ips.push(addr);
+    addToSet(byIp, addr, id);
+  }
+  return { id, previousName };
+}
+
+// Other accounts seen on the same IP(s) as `id`, by current name
+function altsOf(id) {
+  const rec = db.players[id];
+  if (!rec) return [];
+  const others = new Set();
+  for (const ip of rec.ips) {
+    for (const other of byIp.get(ip) || []) {
+      if (other !== id) others.add(other);
+    }
+  }
+  return [...others].map(o => currentName(db.players[o]) || db.players[o].steamId || o);
+}
+
+// Learns from the event and fills in missing identifiers; mutates and returns the event
+function processIdentity(evt) {
+  const now = evt.timestamp ? new Date(evt.timestamp).getTime() : Date.now();
+
+  for (const [nameField, steamField] of PAIRS) {
+    const name = evt[nameField];
+    if (!name) continue;
+    const steamId = evt[steamField];
+    const isSubject = nameField === 'player' || nameField === 'target';
+    const guid = isSubject ? evt.guid : undefined;
+    const ip = isSubject ? evt.ip : undefined;
+
+    if (steamId || guid) {
+      const { id, previousName } = learn({ name, steamId, guid, ip }, now);
+      if (evt.type === EVENT_TYPES.CONNECT && isSubject && id) {
+        if (previousName) evt.previousName = previousName;
+        const alts = altsOf(id);
+        if (alts.length) evt.alts = alts;
+      }
+      continue;
+    }
+
+    // Only a name: enrich from what we learned earlier
+    const id = byName.get(String(name).toLowerCase());
+    const rec = id && db.players[id];
+    if (!rec) continue;
+    if (rec.steamId) evt[steamField] = rec.steamId;
+    if (isSubject && !evt.guid && rec.guids.length) evt.guid = rec.guids[rec.guids.length - 1];
+  }
+
+  if (evt.type === EVENT_TYPES.KILL && !evt.steamId && evt.killerSteamId) {
+    evt.steamId = evt.killerSteamId;
+  }
+  return evt;
+}
+
+// Public view of a player's identity (IPs only if requested)
+function findIdentity(nameOrSteamId, { includeIp = false } = {}) {
+  const key = String(nameOrSteamId || '').trim();
+  const id = db.players[key] ? key : byName.get(key.toLowerCase());
+  const rec = id && db.players[id];
+  if (!rec) return null;
+  return {
+    steamId: rec.steamId,
+    name: currentName(rec),
+    names: rec.names.map(n => n.name),
+    guids: rec.guids.slice(),
+    ips: includeIp ? rec.ips.slice() : undefined,
+    alts: altsOf(id),
+    firstSeen: new Date(rec.firstSeen),
+    lastSeen: new Date(rec.lastSeen)
+  };
+}
+
+// BattlEye GUID of a SteamID64: MD5 of "BE" followed by the SteamID as 8 little-endian bytes
+function beGuid(steamId) {
+  if (!beGuids.has(steamId)) {
+    const bytes = Buffer.alloc(8);
+    bytes.writeBigUInt64LE(BigInt(steamId));
+    beGuids.set(steamId, crypto.createHash('md5').update(Buffer.concat([Buffer.from('BE'), bytes])).digest('hex'));
+  }
+  return beGuids.get(steamId);
+}
+
+// Known player behind a SteamID, BattlEye GUID or IP (e.g. entries of ban lists), or null
+function lookupIdentity({ steamId, guid, ip }) {
+  let id = steamId && db.players[steamId] ? steamId : null;
+  if (!id && guid) {
+    const wanted = String(guid).toLowerCase();
+    id = byGuid.get(wanted) ||
+      Object.keys(db.players).find(key => /^\d{17}$/.test(key) && beGuid(key) === wanted) ||
+      null;
+  }
+  if (!id && ip) {
+    const ids = byIp.get(stripPort(ip));
+    // Shared IPs say nothing about who it is
+    if (ids && ids.size === 1) id = [...ids][0];
+  }
+  const rec = id && db.players[id];
+  return rec ? { steamId: rec.steamId, name: currentName(rec) } : null;
+}
+
+module.exports = {
+  openIdentities,
+  saveIdentities,
+  processIdentity,
+  findIdentity,
+  lookupIdentity,
+  beGuid
+};
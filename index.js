@@ -2,37 +2,202 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const ftp = require('basic-ftp');
-const crypto = require('crypto');
 const { PassThrough } = require('stream');
 const { Client, GatewayIntentBits, EmbedBuilder, Events } = require('discord.js');
-const { parseLine, EVENT_TYPES } = require('./parser');
+const { parseLine, parseTimestamp, EVENT_TYPES } = require('./parser');
+const { parseAdminXml } = require('./adminxml');
+const { loadRules, watchRules } = require('./rules');
+const { loadServers } = require('./servers');
+const { loadRoutes, resolveTargets, isWebhookTarget } = require('./router');
+const { openStore, appendEvents } = require('./store');
+const { registerCommands, handleInteraction } = require('./commands');
+const { openIdentities, saveIdentities, processIdentity } = require('./identities');
+const { openSessions, saveSessions, processSession, formatDuration } = require('./sessions');
+const { scheduleReports } = require('./stats');
+const { configureCombat, processCombat, expireEngagements, formatHitSequence } = require('./combat');
+const { openQueue, startQueue, enqueue, drainQueue } = require('./queue');
+const { postWebhook } = require('./webhook');
+const { openSinks, writeSinks, flushSinks } = require('./sinks');
+const { configureI18n, t, translator } = require('./i18n');
+const { loadTemplates, watchTemplates, applyTemplate, pretty } = require('./templates');
+const { loadFilters, watchFilters, filterEvents } = require('./filters');
+const { configureGeo, processGeo } = require('./geo');
+const { renderMapTile } = require('./maptile');
+const { loadZones, watchZones, processZones } = require('./zones');
+const { openRaids, saveRaids, processRaids } = require('./raids');
+const { createRconClient } = require('./rcon');
+const { diffMonitoredFile } = require('./monitored');
+const { openLifecycle, saveLifecycle, rptStarted, rptActivity, processLifecycle } = require('./lifecycle');
+const {
+  parseWhitelistEntries,
+  downloadText,
+  backupWhitelist,
+  editWhitelistFile
+} = require('./whitelist');
+const { configureBridge, relayToGame, isBridgeEcho } = require('./bridge');
 
 // Env config
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
-const DISCORD_CHANNEL_ID = process.env.DISCORD_CHANNEL_ID;
-const FTP_HOST = process.env.FTP_HOST;
-const FTP_USER = process.env.FTP_USER;
-const FTP_PASS = process.env.FTP_PASS;
-const FTP_PATH = process.env.FTP_PATH || '/';
-const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_MS || 60000);
-const FILE_PATTERNS = (process.env.FILE_PATTERNS || 'adminLog.xml,latest.log,*.rpt,server.log,script_*.log')
-  .split(',')
-  .map(s => s.trim())
-  .filter(Boolean);
+const DISCORD_GUILD_ID = process.env.DISCORD_GUILD_ID;
+// 'bot' logs in through the gateway; 'webhook' only posts to webhook URLs and needs no token
+const DELIVERY_MODE = String(process.env.DELIVERY_MODE || 'bot').toLowerCase() === 'webhook' ? 'webhook' : 'bot';
 const DRY_RUN = String(process.env.DRY_RUN || 'false').toLowerCase() === 'true';
 const DEBUG = String(process.env.DEBUG || 'false').toLowerCase() === 'true';
 const INCLUDE_IP = String(process.env.INCLUDE_IP || 'false').toLowerCase() === 'true';
 const BACKFILL_ON_BOOT = String(process.env.BACKFILL_ON_BOOT || 'false').toLowerCase() === 'true';
-const WHITELIST_FILES = (process.env.WHITELIST_FILES || '')
+const STORE_RETENTION_DAYS = Number(process.env.STORE_RETENTION_DAYS || 90);
+const STATS_REPORTS = (process.env.STATS_REPORTS || '')
+  .split(',')
+  .map(s => s.trim().toLowerCase())
+  .filter(p => p === 'daily' || p === 'weekly');
+const STATS_CHANNEL_ID = process.env.STATS_CHANNEL_ID;
+const STATS_REPORT_HOUR = Number(process.env.STATS_REPORT_HOUR || 0);
+const POST_HITS = String(process.env.POST_HITS || 'false').toLowerCase() === 'true';
+const ENGAGEMENT_TIMEOUT_S = Number(process.env.ENGAGEMENT_TIMEOUT_S || 120);
+const COMBAT_LOG_WINDOW_S = Number(process.env.COMBAT_LOG_WINDOW_S || 30);
+const COMBAT_LOG_HP = Number(process.env.COMBAT_LOG_HP || 50);
+const RAID_MIN_ACTIONS = Number(process.env.RAID_MIN_ACTIONS || 3);
+const RAID_WINDOW_S = Number(process.env.RAID_WINDOW_S || 600);
+const RAID_RADIUS_M = Number(process.env.RAID_RADIUS_M || 100);
+// Discord roles allowed to use the RCon moderation commands (default: members with Manage Server)
+const ADMIN_ROLE_IDS = (process.env.ADMIN_ROLE_IDS || '')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+const BRIDGE_PREFIX = process.env.BRIDGE_PREFIX != null ? process.env.BRIDGE_PREFIX : '[Discord]';
+const BRIDGE_MAX_LENGTH = Number(process.env.BRIDGE_MAX_LENGTH || 120);
+const BRIDGE_BLOCKLIST = (process.env.BRIDGE_BLOCKLIST || '')
   .split(',')
   .map(s => s.trim())
   .filter(Boolean);
+// 'true' attaches a map tile to every event with coordinates, or a comma-separated list of types
+const MAP_TILES = String(process.env.MAP_TILES || 'false').toLowerCase();
+
+const LOCALE = process.env.LOCALE || 'it';
 
 // State persistence to survive restarts
 const DATA_DIR = path.join(process.cwd(), 'data');
 const STATE_FILE = path.join(DATA_DIR, 'state.json');
 ensureDir(DATA_DIR);
 const state = loadState();
+const storedEvents = openStore(DATA_DIR, { retentionDays: STORE_RETENTION_DAYS });
+openIdentities(DATA_DIR);
+openSessions(DATA_DIR);
+configureGeo({ dataDir: DATA_DIR });
+openLifecycle(DATA_DIR);
+openRaids(DATA_DIR, {
+  minActions: RAID_MIN_ACTIONS,
+  windowMs: RAID_WINDOW_S * 1000,
+  radius: RAID_RADIUS_M,
+  rolesFile: process.env.RAID_ROLES_FILE && path.resolve(process.env.RAID_ROLES_FILE)
+});
+const pendingOutbox = openQueue(DATA_DIR, { deliver });
+if (pendingOutbox) console.log(`Outbox: ${pendingOutbox} message(s) pending from the previous run.`);
+configureCombat({
+  postHits: POST_HITS,
+  engagementTimeoutMs: ENGAGEMENT_TIMEOUT_S * 1000,
+  combatLogWindowMs: COMBAT_LOG_WINDOW_S * 1000,
+  combatLogHp: COMBAT_LOG_HP
+});
+if (DEBUG) {
+  console.log(`[DEBUG] Event store: ${storedEvents} events indexed (retention ${STORE_RETENTION_DAYS || '∞'} days).`);
+}
+
+// Watched servers (data/servers.json or legacy single-server env vars)
+const SERVERS_FILE = path.resolve(process.env.SERVERS_FILE || path.join(DATA_DIR, 'servers.json'));
+let servers = [];
+try {
+  servers = loadServers(SERVERS_FILE);
+} catch (err) {
+  console.error('Invalid server configuration:', err.message);
+  process.exit(1);
+}
+migrateLegacyState(servers[0]);
+
+// BattlEye RCon per server (optional, logs in on first use) and the Discord -> in-game chat bridge
+const rconClients = new Map(servers.filter(server => server.rcon).map(server => [server.id, createRconClient({
+  ...server.rcon,
+  onMessage: text => {
+    if (DEBUG) console.log(`[DEBUG] [${server.name}] RCon: ${text}`);
+  }
+})]));
+configureBridge({ prefix: BRIDGE_PREFIX, maxLength: BRIDGE_MAX_LENGTH, blocklist: BRIDGE_BLOCKLIST });
+const bridgeServers = servers.filter(server => server.bridgeChannel);
+
+// Context handed to the slash commands; moderation actions are published like parsed events
+const commandCtx = {
+  servers,
+  adminRoles: ADMIN_ROLE_IDS,
+  rconFor: server => rconClients.get(server.id),
+  readWhitelist: (server, file) => readWhitelist(server, file),
+  editWhitelist: (server, file, change, actor) => editWhitelist(server, file, change, actor),
+  publish: (server, events) => queueEvents(server, processEvents(server, events))
+};
+
+// Event routing to channels/webhooks (servers may override with their own table)
+const ROUTES_FILE = path.resolve(process.env.ROUTES_FILE || path.join(DATA_DIR, 'routes.json'));
+let routes;
+try {
+  routes = loadRoutes(ROUTES_FILE);
+} catch (err) {
+  console.error('Invalid routes configuration:', err.message);
+  process.exit(1);
+}
+for (const server of servers) {
+  if (!defaultTargets(server).length) {
+    console.warn(`[${server.name}] No channels or default route: unrouted events will be dropped.`);
+  }
+}
+
+// Output sinks besides Discord (HTTP, NDJSON file, stdout); DRY_RUN adds a stdout sink
+const SINKS_FILE = path.resolve(process.env.SINKS_FILE || path.join(DATA_DIR, 'sinks.json'));
+try {
+  const active = openSinks(SINKS_FILE, DATA_DIR, DRY_RUN ? [{ type: 'stdout', name: 'dry-run' }] : []);
+  if (active.length) console.log(`Sinks: ${active.map(s => s.name).join(', ')}`);
+} catch (err) {
+  console.error('Invalid sinks configuration:', err.message);
+  process.exit(1);
+}
+
+// Embed language (per route/server, LOCALE as default) and string overrides
+const STRINGS_FILE = path.resolve(process.env.STRINGS_FILE || path.join(DATA_DIR, 'strings.json'));
+try {
+  configureI18n({ locale: LOCALE, overridesFile: STRINGS_FILE });
+} catch (err) {
+  console.error('Invalid strings configuration:', err.message);
+  process.exit(1);
+}
+
+// Embed templates per event type (hot-reloaded)
+const TEMPLATES_FILE = path.resolve(process.env.TEMPLATES_FILE || path.join(DATA_DIR, 'templates.json'));
+const initialTemplates = Object.keys(loadTemplates(TEMPLATES_FILE));
+if (initialTemplates.length) console.log(`Templates: ${initialTemplates.join(', ')} from ${TEMPLATES_FILE}`);
+watchTemplates(TEMPLATES_FILE, loaded => {
+  console.log(`Templates: reloaded (${Object.keys(loaded).join(', ') || 'none'}) from ${TEMPLATES_FILE}`);
+});
+
+// Include/exclude rules and deduplication before posting (hot-reloaded)
+const FILTERS_FILE = path.resolve(process.env.FILTERS_FILE || path.join(DATA_DIR, 'filters.json'));
+loadFilters(FILTERS_FILE);
+watchFilters(FILTERS_FILE, () => {
+  console.log(`Filters: reloaded from ${FILTERS_FILE}`);
+});
+
+// Geofenced zones (hot-reloaded)
+const ZONES_FILE = path.resolve(process.env.ZONES_FILE || path.join(DATA_DIR, 'zones.json'));
+const initialZones = loadZones(ZONES_FILE);
+if (initialZones.length) console.log(`Zones: ${initialZones.length} zone(s) loaded from ${ZONES_FILE}`);
+watchZones(ZONES_FILE, loaded => {
+  console.log(`Zones: reloaded ${loaded.length} zone(s) from ${ZONES_FILE}`);
+});
+
+// Custom parser rules (hot-reloaded)
+const RULES_FILE = path.resolve(process.env.RULES_FILE || path.join(DATA_DIR, 'rules.json'));
+const initialRules = loadRules(RULES_FILE);
+if (initialRules.length) console.log(`Rules: ${initialRules.length} rule(s) loaded from ${RULES_FILE}`);
+watchRules(RULES_FILE, loaded => {
+  console.log(`Rules: reloaded ${loaded.length} rule(s) from ${RULES_FILE}`);
+});
 
 function ensureDir(p) {
   try { fs.mkdirSync(p, { recursive: true }); } catch (_) {}
@@ -42,15 +207,43 @@ function loadState() {
   try {
     const raw = fs.readFileSync(STATE_FILE, 'utf8');
     const data = JSON.parse(raw);
-    if (!data.files) data.files = {};
-    if (typeof data.bootstrapped !== 'boolean') {
-      data.bootstrapped = Object.keys(data.files).length > 0;
-    }
-    if (!data.whitelists) data.whitelists = {};
+    if (!data.servers) data.servers = {};
     return data;
   } catch (_) {
-    return { files: {}, whitelists: {}, bootstrapped: false };
+    return { servers: {} };
+  }
+}
+
+// State written before multi-server support kept files/whitelists at the top level
+function migrateLegacyState(server) {
+  if (!state.files && !state.whitelists) return;
+  if (!state.servers[server.id]) {
+    state.servers[server.id] = {
+      files: state.files || {},
+      whitelists: state.whitelists || {},
+      bootstrapped: typeof state.bootstrapped === 'boolean'
+        ? state.bootstrapped
+        : Object.keys(state.files || {}).length > 0
+    };
   }
+  delete state.files;
+  delete state.whitelists;
+  delete state.bootstrapped;
+  saveState();
+}
+
+function serverState(server) {
+  if (!state.servers[server.id]) {
+    state.servers[server.id] = { files: {}, monitored: {}, bootstrapped: false };
+  }
+  const sState = state.servers[server.id];
+  // Whitelist snapshots were kept apart before ban and priority files were monitored
+  if (sState.whitelists) {
+    sState.monitored = { ...sState.whitelists, ...(sState.monitored || {}) };
+    delete sState.whitelists;
+  }
+  if (!sState.monitored) sState.monitored = {};
+  return sState;
 }
 
 function saveState() {
@@ -74,157 +267,274 @@ function mmatch(name, patterns) {
   return patterns.some(p => globToRegex(p).test(name));
 }
 
-async function listLogFiles(client) {
-  await client.cd(FTP_PATH);
+async function listLogFiles(client, server) {
+  await client.cd(server.ftp.path);
   const items = await client.list();
   if (DEBUG) {
-    console.log('[DEBUG] Contenuto directory:', items.map(it => `${it.name}${it.isDirectory ? '/' : ''}`).join(', '));
+    console.log(`[DEBUG] [${server.name}] Directory listing:`, items.map(it => `${it.name}${it.isDirectory ? '/' : ''}`).join(', '));
   }
   return items
     .filter(it => it.isFile)
-    .filter(it => mmatch(it.name, FILE_PATTERNS))
+    .filter(it => mmatch(it.name, server.filePatterns))
     .map(it => ({ name: it.name, size: it.size, modifiedAt: it.modifiedAt }));
 }
 
 async function downloadNewChunk(client, remotePath, fromOffset) {
   // Download from offset to end into a buffer
-  let buf = '';
+  // Collect raw bytes first so multi-byte characters split across packets decode correctly
+  const parts = [];
   const stream = new PassThrough();
   stream.on('data', chunk => {
-    buf += chunk.toString('utf8');
+    parts.push(chunk);
   });
   await client.downloadTo(stream, remotePath, fromOffset);
-  return buf;
+  return Buffer.concat(parts).toString('utf8');
 }
 
-function pretty(text) {
-  if (!text) return undefined;
-  const value = String(text)
-    .replace(/_/g, ' ')
-    .replace(/\s{2,}/g, ' ')
-    .trim();
-  return value || undefined;
+function addHitSummary(field, hits) {
+  if (!hits) return;
+  field('shots', String(hits.shots), true);
+  field('totalDamage', String(hits.totalDamage), true);
+  const sequence = formatHitSequence(hits);
+  if (sequence) field('hitSequence', sequence.slice(0, 1024));
 }
 
-function toEmbed(evt) {
-  const time = evt.timestamp ? new Date(evt.timestamp) : new Date();
-  const embed = new EmbedBuilder()
-    .setTimestamp(time)
-    .setColor(0x5865F2);
+// "[6563, 2642](iZurvive link)" when the event has parsed coordinates
+function coordsValue(evt, fallback) {
+  if (!evt.pos) return fallback;
+  const text = `${Math.round(evt.pos.x)}, ${Math.round(evt.pos.y)}`;
+  return evt.mapUrl ? `[${text}](${evt.mapUrl})` : text;
+}
+
+function nearestValue(evt, t) {
+  const near = evt.nearest;
+  if (!near) return undefined;
+  if (!near.direction) return near.name;
+  const distance = near.distance >= 1000 ? `${(near.distance / 1000).toFixed(1)} km` : `${near.distance} m`;
+  return t('geo.near', { distance, direction: near.direction, place: near.name });
+}
+
+// Built-in layout of each event type; fields are keyed so templates can pick them
+function defaultLayout(evt, t) {
+  const unknown = t('common.unknown');
+  const na = t('common.na');
+  const layout = { color: 0x5865F2, footer: evt.server, fields: [] };
+  const field = (key, value, inline = false) => layout.fields.push({ key, name: t(`field.${key}`), value, inline });
 
   switch (evt.type) {
     case EVENT_TYPES.CONNECT:
-      embed.setTitle('Connessione giocatore');
-      embed.setDescription(`${evt.player || 'Sconosciuto'} si e' connesso al server`);
-      if (evt.steamId) embed.addFields({ name: 'SteamID', value: String(evt.steamId), inline: true });
-      if (evt.guid) embed.addFields({ name: 'GUID', value: evt.guid, inline: true });
-      if (INCLUDE_IP && evt.ip) embed.addFields({ name: 'IP', value: evt.ip, inline: true });
-      if (evt.source) embed.addFields({ name: 'Fonte', value: evt.source, inline: true });
+      layout.title = t('connect.title');
+      layout.description = t('connect.description', { player: evt.player || unknown });
+      if (evt.steamId) field('steamId', String(evt.steamId), true);
+      if (evt.guid) field('guid', evt.guid, true);
+      if (INCLUDE_IP && evt.ip) field('ip', evt.ip, true);
+      if (evt.source) field('source', evt.source, true);
+      if (evt.previousName) field('previousName', evt.previousName, true);
+      if (evt.alts && evt.alts.length) {
+        field('alts', evt.alts.slice(0, 10).join(', '));
+      }
       break;
     case EVENT_TYPES.DISCONNECT:
-      embed.setTitle('Disconnessione giocatore');
-      embed.setDescription(`${evt.player || 'Sconosciuto'} ha lasciato il server`);
-      if (evt.steamId) embed.addFields({ name: 'SteamID', value: String(evt.steamId), inline: true });
-      if (evt.guid) embed.addFields({ name: 'GUID', value: evt.guid, inline: true });
-      if (INCLUDE_IP && evt.ip) embed.addFields({ name: 'IP', value: evt.ip, inline: true });
-      if (evt.source) embed.addFields({ name: 'Fonte', value: evt.source, inline: true });
+      layout.title = t('disconnect.title');
+      layout.description = t('disconnect.description', { player: evt.player || unknown });
+      if (evt.sessionDuration != null) {
+        field('sessionDuration', formatDuration(evt.sessionDuration), true);
+      }
+      if (evt.steamId) field('steamId', String(evt.steamId), true);
+      if (evt.guid) field('guid', evt.guid, true);
+      if (INCLUDE_IP && evt.ip) field('ip', evt.ip, true);
+      if (evt.source) field('source', evt.source, true);
       break;
     case EVENT_TYPES.KILL:
-      embed.setTitle('Uccisione');
-      embed.setDescription(`${evt.killer || 'Sconosciuto'} ha ucciso ${evt.victim || 'Sconosciuto'}`);
-      if (evt.weapon) embed.addFields({ name: 'Arma', value: evt.weapon || 'N/D', inline: true });
-      if (evt.location) embed.addFields({ name: 'Luogo', value: pretty(evt.location) || evt.location, inline: true });
-      if (evt.distance != null) embed.addFields({ name: 'Distanza', value: `${evt.distance} m`, inline: true });
-      if (evt.hitZone) embed.addFields({ name: 'Colpo', value: pretty(evt.hitZone), inline: true });
+      layout.title = t('kill.title');
+      layout.description = t('kill.description', { killer: evt.killer || unknown, victim: evt.victim || unknown });
+      if (evt.weapon) field('weapon', evt.weapon || na, true);
+      if (evt.location) field('location', coordsValue(evt, pretty(evt.location) || evt.location), true);
+      if (evt.nearest) field('nearest', nearestValue(evt, t), true);
+      if (evt.distance != null) field('distance', `${evt.distance} m`, true);
+      if (evt.hitZone) field('hitZone', pretty(evt.hitZone), true);
+      addHitSummary(field, evt.hits);
       break;
     case EVENT_TYPES.DEATH:
-      embed.setTitle('Morte giocatore');
-      embed.setDescription(`${evt.player || 'Sconosciuto'} e' morto${evt.cause ? ' per ' + pretty(evt.cause) : ''}`);
-      if (evt.location) embed.addFields({ name: 'Luogo', value: pretty(evt.location) || evt.location, inline: true });
+      layout.title = t('death.title');
+      layout.description = evt.cause
+        ? t('death.descriptionCause', { player: evt.player || unknown, cause: pretty(evt.cause) })
+        : t('death.description', { player: evt.player || unknown });
+      if (evt.location) field('location', coordsValue(evt, pretty(evt.location) || evt.location), true);
+      if (evt.nearest) field('nearest', nearestValue(evt, t), true);
+      addHitSummary(field, evt.hits);
       break;
     case EVENT_TYPES.CHAT:
-      embed.setTitle('Chat in game');
-      embed.addFields(
-        { name: 'Canale', value: evt.channel || 'N/D', inline: true },
-        { name: 'Player', value: evt.player || 'Sconosciuto', inline: true },
-        { name: 'Messaggio', value: evt.message || '-' }
-      );
+      layout.title = t('chat.title');
+      field('channel', evt.channel || na, true);
+      field('player', evt.player || unknown, true);
+      field('message', evt.message || '-');
       break;
     case EVENT_TYPES.ADMIN:
-      embed.setTitle('Evento admin');
+      layout.title = t('admin.title');
       {
-        const actor = evt.actor || evt.source || 'Admin';
-        const action = evt.action || 'azione';
-        const targetInfo = evt.target ? ' su ' + evt.target : '';
-        embed.setDescription(`${actor} ha eseguito ${action}${targetInfo}`);
+        const vars = {
+          actor: evt.actor || evt.source || 'Admin',
+          action: evt.action || t('admin.defaultAction'),
+          target: evt.target
+        };
+        layout.description = t(evt.target ? 'admin.descriptionTarget' : 'admin.description', vars);
+      }
+      if (evt.reason) field('reason', pretty(evt.reason));
+      if (evt.duration != null) {
+        field('duration', evt.duration ? formatDuration(evt.duration * 60 * 1000) : t('admin.permanent'), true);
       }
-      if (evt.reason) embed.addFields({ name: 'Motivo', value: pretty(evt.reason) });
       if (evt.source && evt.actor !== evt.source) {
-        embed.addFields({ name: 'Fonte', value: evt.source, inline: true });
+        field('source', evt.source, true);
       }
       break;
     case EVENT_TYPES.POSITION:
-      embed.setTitle('Posizione giocatore');
-      embed.addFields(
-        { name: 'Player', value: evt.player || 'Sconosciuto', inline: true },
-        { name: 'Coordinate', value: evt.coords || evt.location || 'N/D', inline: true }
-      );
+      layout.title = t('position.title');
+      field('player', evt.player || unknown, true);
+      field('coords', coordsValue(evt, evt.coords || evt.location || na), true);
+      if (evt.nearest) field('nearest', nearestValue(evt, t), true);
       break;
     case EVENT_TYPES.PLAYER_COUNT:
-      embed.setTitle('Giocatori online');
-      embed.setDescription(`Totale: ${evt.count != null ? String(evt.count) : 'N/D'}`);
+      layout.title = t('playerCount.title');
+      layout.description = t('playerCount.description', { count: evt.count != null ? String(evt.count) : na });
       break;
     case EVENT_TYPES.PLAYER_LIST_HEADER:
-      embed.setTitle('Snapshot giocatori');
-      embed.addFields(
-        { name: 'Orario log', value: evt.snapshot || 'N/D', inline: true },
-        { name: 'Parte', value: String(evt.part || 1), inline: true }
-      );
+      layout.title = t('playerList.title');
+      field('logTime', evt.snapshot || na, true);
+      field('part', String(evt.part || 1), true);
       break;
     case EVENT_TYPES.OBJECT:
-      embed.setTitle('Oggetto piazzato');
-      embed.addFields(
-        { name: 'Player', value: evt.player || 'Sconosciuto', inline: true },
-        { name: 'Oggetto', value: evt.object || 'N/D', inline: true }
-      );
-      if (evt.location) embed.addFields({ name: 'Coordinate', value: evt.location, inline: true });
+      layout.title = t('object.title');
+      field('player', evt.player || unknown, true);
+      field('object', evt.object || na, true);
+      if (evt.location) field('coords', coordsValue(evt, evt.location), true);
+      if (evt.nearest) field('nearest', nearestValue(evt, t), true);
       break;
     case EVENT_TYPES.BASE_ACTION:
-      embed.setTitle('Azione base');
-      embed.addFields(
-        { name: 'Player', value: evt.player || 'Sconosciuto', inline: true },
-        { name: 'Azione', value: pretty(evt.action) || 'N/D', inline: true }
-      );
-      if (evt.detail) embed.addFields({ name: 'Dettaglio', value: evt.detail });
-      if (evt.location) embed.addFields({ name: 'Coordinate', value: evt.location, inline: true });
+      layout.title = t('baseAction.title');
+      field('player', evt.player || unknown, true);
+      field('action', pretty(evt.action) || t('baseAction.unknownAction'), true);
+      if (evt.detail) field('detail', evt.detail);
+      if (evt.location) field('coords', coordsValue(evt, evt.location), true);
+      if (evt.nearest) field('nearest', nearestValue(evt, t), true);
       break;
     case EVENT_TYPES.HIT:
-      embed.setTitle('Hit log');
-      embed.addFields(
-        { name: 'Attaccante', value: evt.attacker || 'Sconosciuto', inline: true },
-        { name: 'Vittima', value: evt.victim || 'Sconosciuto', inline: true },
-        { name: 'Danno', value: evt.damage != null ? `${evt.damage} (${evt.damageType || 'N/D'})` : 'N/D', inline: true }
-      );
-      if (evt.weapon) embed.addFields({ name: 'Arma', value: evt.weapon, inline: true });
-      if (evt.bodyPart) embed.addFields({ name: 'Parte colpita', value: evt.bodyPart, inline: true });
-      if (evt.victimHp != null) embed.addFields({ name: 'HP vittima', value: String(evt.victimHp), inline: true });
+      layout.title = t('hit.title');
+      field('attacker', evt.attacker || unknown, true);
+      field('victim', evt.victim || unknown, true);
+      field('damage', evt.damage != null ? `${evt.damage} (${evt.damageType || na})` : na, true);
+      if (evt.weapon) field('weapon', evt.weapon, true);
+      if (evt.bodyPart) field('bodyPart', evt.bodyPart, true);
+      if (evt.victimHp != null) field('victimHp', String(evt.victimHp), true);
+      if (evt.pos) field('coords', coordsValue(evt), true);
+      if (evt.nearest) field('nearest', nearestValue(evt, t), true);
+      break;
+    case EVENT_TYPES.SERVER: {
+      const known = ['start', 'mission_loaded', 'restart_countdown', 'restart', 'shutdown', 'crash', 'mod_load'];
+      layout.title = t(known.includes(evt.action) ? `server.${evt.action}` : 'server.title');
+      layout.color = evt.action === 'crash' ? 0xED4245 : evt.action === 'start' || evt.action === 'mission_loaded' ? 0x57F287 : 0xFEE75C;
+      if (evt.abrupt) layout.description = t('server.abruptCrash', { file: evt.rptFile || na });
+      else if (evt.action === 'restart_countdown') layout.description = t('server.countdown', { time: formatDuration(evt.seconds * 1000) });
+      else if (evt.mod) layout.description = evt.mod;
+      else if (evt.detail) layout.description = evt.detail.slice(0, 2000);
+      if (evt.uptimeMs != null) field('uptime', formatDuration(evt.uptimeMs), true);
+      if (evt.startupMs != null) field('startupTime', formatDuration(evt.startupMs), true);
+      if (evt.closedSessions) {
+        field('closedSessions', String(evt.closedSessions), true);
+      }
+      if (evt.crashes) field('crashes', t('server.crashCount', evt.crashes), true);
+      if (evt.timeline && evt.timeline.length) {
+        field('timeline', evt.timeline
+          .map(entry => `<t:${Math.floor(new Date(entry.at).getTime() / 1000)}:f> ${t(`server.${entry.action}`)}`)
+          .join('\n'));
+      }
+      break;
+    }
+    case EVENT_TYPES.ENGAGEMENT:
+      layout.title = t('engagement.title');
+      layout.description = t('engagement.description', {
+        attackers: (evt.hits?.attackers || []).join(', ') || unknown,
+        victim: evt.victim || unknown
+      });
+      addHitSummary(field, evt.hits);
+      break;
+    case EVENT_TYPES.COMBAT_LOG:
+      layout.title = t('combatLog.title');
+      layout.color = 0xED4245;
+      layout.description = t('combatLog.description', { player: evt.player || unknown, seconds: evt.secondsAfterHit });
+      if (evt.attacker) field('lastAttacker', evt.attacker, true);
+      if (evt.victimHp != null) field('victimHp', String(evt.victimHp), true);
+      if (evt.steamId) field('steamId', String(evt.steamId), true);
+      addHitSummary(field, evt.hits);
+      break;
+    case EVENT_TYPES.ZONE:
+      layout.title = t(`zone.${evt.trigger}`, { zone: evt.zone });
+      layout.color = evt.trigger === 'exit' ? 0xFEE75C : 0xE67E22;
+      layout.description = t(`zone.${evt.trigger}.description`, { player: evt.player || unknown, zone: evt.zone });
+      if (evt.object) field('object', pretty(evt.object), true);
+      if (evt.pos) field('coords', coordsValue(evt), true);
+      if (evt.nearest) field('nearest', nearestValue(evt, t), true);
+      if (evt.steamId) field('steamId', String(evt.steamId), true);
+      break;
+    case EVENT_TYPES.RAID:
+      layout.title = t('raid.title');
+      layout.color = 0xED4245;
+      layout.description = t('raid.description', {
+        raiders: evt.raiders.join(', ') || unknown,
+        owners: evt.owners.join(', ') || unknown
+      });
+      field('raiders', evt.raiders.join(', ') || unknown, true);
+      field('owners', evt.owners.join(', ') || t('common.none'), true);
+      field('actions', String(evt.actions), true);
+      if (evt.pos) field('coords', coordsValue(evt), true);
+      if (evt.nearest) field('nearest', nearestValue(evt, t), true);
+      if (evt.recentActions && evt.recentActions.length) field('recentActions', evt.recentActions.join('\n'));
       break;
     case EVENT_TYPES.WHITELIST_UPDATE:
-      embed.setTitle('Aggiornamento whitelist');
-      embed.addFields({ name: 'File', value: evt.file || 'N/D', inline: true });
-      embed.addFields({ name: 'Totale', value: String(evt.total ?? 0), inline: true });
+    case EVENT_TYPES.BAN_UPDATE:
+    case EVENT_TYPES.PRIORITY_UPDATE:
+      layout.title = t(FILE_UPDATE_TITLES[evt.type]);
+      field('file', evt.file || na, true);
+      field('total', String(evt.total ?? 0), true);
       if (evt.added && evt.added.length) {
-        embed.addFields({ name: 'Aggiunti', value: formatWhitelistList(evt.added), inline: false });
+        field('added', formatWhitelistList(fileEntries(evt.addedEntries, evt.added, t), t));
       }
       if (evt.removed && evt.removed.length) {
-        embed.addFields({ name: 'Rimossi', value: formatWhitelistList(evt.removed), inline: false });
+        field('removed', formatWhitelistList(fileEntries(evt.removedEntries, evt.removed, t), t));
       }
+      if (evt.changed && evt.changed.length) {
+        field('changed', formatWhitelistList(fileEntries(evt.changedEntries, evt.changed, t), t));
+      }
+      if (evt.actor) field('changedBy', evt.actorId ? `<@${evt.actorId}>` : evt.actor, true);
       break;
     default:
-      embed.setTitle('Evento');
-      embed.setDescription(evt.raw?.slice(0, 2000) || '');
+      // Custom rule events: show the mapped fields
+      layout.title = evt.title || t('event.title');
+      layout.description = evt.raw?.slice(0, 2000) || '';
+      for (const [name, value] of Object.entries(evt)) {
+        if (['raw', 'timestamp', 'type', 'title', 'rule', 'server'].includes(name)) continue;
+        if (value == null || typeof value === 'object') continue;
+        layout.fields.push({ key: name, name, value: String(value), inline: true });
+      }
   }
 
+  return layout;
+}
+
+function toEmbed(evt, locale) {
+  const layout = applyTemplate(defaultLayout(evt, translator(locale)), evt, locale);
+  const time = evt.timestamp ? new Date(evt.timestamp) : new Date();
+  const embed = new EmbedBuilder()
+    .setTimestamp(time)
+    .setColor(layout.color);
+  if (layout.title) embed.setTitle(layout.title.slice(0, 256));
+  if (layout.description) embed.setDescription(layout.description.slice(0, 4096));
+  if (layout.url) embed.setURL(layout.url);
+  if (layout.thumbnail) embed.setThumbnail(layout.thumbnail);
+  if (layout.image) embed.setImage(layout.image);
+  if (layout.footer) embed.setFooter({ text: layout.footer.slice(0, 2048) });
+  const fields = layout.fields.filter(f => f.value != null && String(f.value).trim() !== '').slice(0, 25);
+  embed.addFields(fields.map(f => ({ name: String(f.name).slice(0, 256), value: String(f.value).slice(0, 1024), inline: f.inline })));
   return embed;
 }
 
@@ -234,152 +544,379 @@ function chunkToLines(chunk) {
   return lines.filter(l => l && l.trim().length > 0);
 }
 
-function parseWhitelistEntries(content) {
-  return String(content)
-    .split(/\r?\n/)
-    .map(line => line.trim())
-    .filter(line => line && !line.startsWith('#'));
+const FILE_UPDATE_TITLES = {
+  [EVENT_TYPES.WHITELIST_UPDATE]: 'whitelist.title',
+  [EVENT_TYPES.BAN_UPDATE]: 'banList.title',
+  [EVENT_TYPES.PRIORITY_UPDATE]: 'priority.title'
+};
+
+// " — expiry — reason" of a monitored file entry
+function entryDetails(entry, t) {
+  let text = '';
+  if ('expires' in entry) {
+    text += ` — ${entry.expires ? t('banList.until', { time: `<t:${Math.floor(new Date(entry.expires).getTime() / 1000)}:f>` }) : t('admin.permanent')}`;
+  }
+  const note = entry.reason || entry.comment;
+  if (note) text += ` — ${note}`;
+  return text;
 }
 
-function hashContent(content) {
-  return crypto.createHash('sha1').update(String(content), 'utf8').digest('hex');
+// Monitored file entries: "`id` (known player) — expiry — reason", followed by what a changed entry
+// was before; plain lines when not parsed
+function fileEntries(entries, lines, t) {
+  if (!entries) return lines;
+  return entries.map(entry => {
+    let text = `\`${entry.id}\``;
+    if (entry.player) text += ` (${entry.player})`;
+    text += entryDetails(entry, t);
+    if (entry.previous) {
+      text += ` (${t('fileUpdate.previous', { details: entryDetails(entry.previous, t).replace(/^ — /, '') || t('common.none') })})`;
+    }
+    return text;
+  });
 }
 
-function formatWhitelistList(items) {
-  if (!items || !items.length) return 'Nessuno';
+function formatWhitelistList(items, t) {
+  if (!items || !items.length) return t('common.none');
   const MAX = 10;
   const slice = items.slice(0, MAX).join('\n');
   if (items.length > MAX) {
-    return `${slice}\n… e altri ${items.length - MAX}`;
+    return `${slice}\n${t('common.more', { count: items.length - MAX })}`;
   }
   return slice;
 }
 
-async function processWhitelistFiles(client) {
+function remoteFilePath(rel) {
+  return String(rel).replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+function monitoredKey(server, remoteRel) {
+  return path.posix.join(server.ftp.path.replace(/\\/g, '/'), remoteRel);
+}
+
+// Whitelist, ban and priority files: diffs against the last poll become update events
+async function processMonitoredFiles(client, server) {
   const events = [];
-  for (const rel of WHITELIST_FILES) {
-    if (!rel) continue;
-    const remoteRel = rel.replace(/\\/g, '/').replace(/^\/+/, '');
+  const sState = serverState(server);
+  for (const { path: rel, format } of server.monitoredFiles) {
+    const remoteRel = remoteFilePath(rel);
     let buffer = '';
-    const stream = new PassThrough();
-    stream.on('data', chunk => {
-      buffer += chunk.toString('utf8');
-    });
     try {
-      await client.downloadTo(stream, remoteRel);
+      buffer = await downloadText(client, remoteRel);
     } catch (err) {
-      console.error(`[Whitelist] Download failed for ${remoteRel}:`, err.message);
+      console.error(`[Files] [${server.name}] Download failed for ${remoteRel}:`, err.message);
       continue;
     }
 
-    const key = path.posix.join(FTP_PATH.replace(/\\/g, '/'), remoteRel);
-    const entries = parseWhitelistEntries(buffer);
-    const hash = hashContent(buffer);
-    const prev = state.whitelists[key];
+    const key = monitoredKey(server, remoteRel);
+    const prev = sState.monitored[key];
+    const { snapshot, event } = diffMonitoredFile(format, remoteRel, prev, buffer);
+    if (prev && prev.hash === snapshot.hash) continue;
+    sState.monitored[key] = snapshot;
+    saveState();
 
     if (!prev) {
-      state.whitelists[key] = { hash, entries, updatedAt: Date.now() };
-      saveState();
       if (DEBUG) {
-        console.log(`[DEBUG] Whitelist ${remoteRel}: inizializzata (${entries.length} voci).`);
+        console.log(`[DEBUG] [${server.name}] ${remoteRel} (${format}): initialized (${snapshot.entries.length} entries).`);
       }
       continue;
     }
-
-    if (prev.hash === hash) continue;
-
-    const prevSet = new Set(prev.entries);
-    const currSet = new Set(entries);
-    const added = entries.filter(item => !prevSet.has(item));
-    const removed = prev.entries.filter(item => !currSet.has(item));
-
-    state.whitelists[key] = { hash, entries, updatedAt: Date.now() };
-    saveState();
-
-    if (added.length || removed.length) {
-      events.push({
-        type: EVENT_TYPES.WHITELIST_UPDATE,
-        file: remoteRel,
-        added,
-        removed,
-        total: entries.length,
-        timestamp: new Date()
-      });
+    if (event) {
+      events.push(event);
       if (DEBUG) {
-        console.log(`[DEBUG] Whitelist ${remoteRel}: aggiunti=${added.length}, rimossi=${removed.length}`);
+        console.log(`[DEBUG] [${server.name}] ${remoteRel} (${format}): added=${event.added.length}, removed=${event.removed.length}, changed=${event.changed.length}`);
       }
     }
   }
   return events;
 }
 
-let channelRef = null;
-const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+// Discord channels by id, resolved on first use
+const channelRefs = new Map();
+// Message content is a privileged intent: only asked for when a bridge channel is configured
+const client = new Client({
+  intents: bridgeServers.length
+    ? [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent]
+    : [GatewayIntentBits.Guilds]
+});
 
-function buildStatusEmbed(status) {
+function buildStatusEmbed(status, locale) {
   const online = status === 'online';
   return new EmbedBuilder()
-    .setTitle(online ? 'Bot online' : 'Bot offline')
-    .setDescription(online ? 'DayZ log watcher avviato.' : 'DayZ log watcher arrestato.')
+    .setTitle(t(locale, `status.${status}.title`))
+    .setDescription(t(locale, `status.${status}.description`))
     .setColor(online ? 0x57F287 : 0xED4245)
     .setTimestamp(new Date());
 }
 
+function routeTable(server) {
+  return server.routes || routes;
+}
+
+function defaultTargets(server) {
+  const table = routeTable(server);
+  return table.default.length ? table.default : server.channels;
+}
+
+async function getChannel(id) {
+  if (!channelRefs.has(id)) channelRefs.set(id, await client.channels.fetch(id));
+  return channelRefs.get(id);
+}
+
+// Delivery used by the outbound queue; discord.js paces channel sends itself,
+// webhooks report their rate-limit headers back to the queue
+async function deliver(target, payload, profile) {
+  if (isWebhookTarget(target)) return postWebhook(target, { ...payload, ...profile });
+  if (DELIVERY_MODE === 'webhook') {
+    const err = new Error(`Channel target ${target} needs DELIVERY_MODE=bot`);
+    err.status = 400;
+    throw err;
+  }
+  const channel = await getChannel(target);
+  if (!channel) throw new Error(`Channel ${target} not found`);
+  const files = (payload.files || []).map(file => ({ attachment: Buffer.from(file.data, 'base64'), name: file.name }));
+  await channel.send({ ...payload, files });
+  return null;
+}
+
+function announceStatus(status) {
+  if (DRY_RUN) return;
+  const messages = new Map();
+  for (const server of servers) {
+    const table = routeTable(server);
+    const embed = buildStatusEmbed(status, table.locale || server.locale).toJSON();
+    defaultTargets(server).forEach(target => messages.set(target, { target, embed, options: table.profile }));
+  }
+  enqueue([...messages.values()]);
+}
+
+// Role pings linked to the event (raid alerts)
+function mentions(evt) {
+  return evt.roles && evt.roles.length ? evt.roles.map(id => `<@&${id}>`).join(' ') : undefined;
+}
+
+function mapTile(evt, server) {
+  if (!evt.pos || MAP_TILES === 'false') return null;
+  if (MAP_TILES !== 'true' && !MAP_TILES.split(',').map(s => s.trim()).includes(evt.type)) return null;
+  const png = renderMapTile(server.map, evt.pos);
+  return png ? { name: 'map.png', data: png.toString('base64') } : null;
+}
+
+// Filters the events, hands them to the output sinks and queues them for Discord;
+// returns once they are persisted in the outbox
+function queueEvents(server, parsed) {
+  const events = filterEvents(parsed.filter(evt => !isBridgeEcho(evt)));
+  if (DEBUG && events.length < parsed.length) {
+    console.log(`[DEBUG] [${server.name}] Filters: ${parsed.length - events.length} event(s) dropped.`);
+  }
+  writeSinks(events);
+  if (DRY_RUN) return;
+  const messages = [];
+  for (const evt of events) {
+    // One embed per language among the event's targets
+    const embeds = new Map();
+    const tile = mapTile(evt, server);
+    for (const { target, profile, locale } of resolveTargets(evt, routeTable(server), server.channels)) {
+      const lang = locale || server.locale || LOCALE;
+      if (!embeds.has(lang)) {
+        const embed = toEmbed(evt, lang).toJSON();
+        if (tile && !embed.image) embed.image = { url: `attachment://${tile.name}` };
+        embeds.set(lang, embed);
+      }
+      messages.push({ target, embed: embeds.get(lang), content: mentions(evt), options: profile, files: tile ? [tile] : undefined });
+    }
+  }
+  enqueue(messages);
+}
+
 client.once(Events.ClientReady, async () => {
+  console.log(`Discord: Logged in as ${client.user.tag}.`);
   try {
-    channelRef = await client.channels.fetch(DISCORD_CHANNEL_ID);
-    console.log(`Discord: Logged in as ${client.user.tag}. Channel: ${channelRef?.id}`);
-    if (channelRef && !DRY_RUN) {
-      await channelRef.send({ embeds: [buildStatusEmbed('online')] });
+    const count = await registerCommands(client, commandCtx, DISCORD_GUILD_ID);
+    console.log(`Discord: ${count} slash command(s) registered${DISCORD_GUILD_ID ? ` (guild ${DISCORD_GUILD_ID})` : ''}.`);
+  } catch (err) {
+    console.error('Slash command registration failed:', err.message);
+  }
+  startWatching();
+});
+
+// Starts delivery, reports and polling (after login in bot mode, right away in webhook mode)
+function startWatching() {
+  announceStatus('online');
+  startQueue();
+  scheduleReports(DATA_DIR, {
+    periods: STATS_REPORTS,
+    hour: STATS_REPORT_HOUR,
+    servers,
+    send: async (server, embed) => {
+      if (DRY_RUN) return;
+      const targets = STATS_CHANNEL_ID ? [STATS_CHANNEL_ID] : defaultTargets(server);
+      const options = routeTable(server).profile;
+      enqueue(targets.map(target => ({ target, embed: embed.toJSON(), options })));
     }
+  });
+  // Start polling after discord is ready; each server runs on its own schedule
+  servers.forEach((server, i) => {
+    setTimeout(() => tick(server), 2000 + i * 1000);
+    setInterval(() => tick(server), server.pollIntervalMs);
+  });
+}
+
+client.on(Events.InteractionCreate, interaction => handleInteraction(interaction, commandCtx));
+
+// Bridge: messages in a server's bridge channel are said in-game. Bots and webhooks (including
+// this bot's own posts) are ignored so relayed chat never loops back.
+client.on(Events.MessageCreate, async message => {
+  if (message.author.bot || message.webhookId) return;
+  const server = bridgeServers.find(s => s.bridgeChannel === message.channelId);
+  if (!server) return;
+  const author = (message.member && message.member.displayName) || message.author.username;
+  try {
+    const line = await relayToGame(rconClients.get(server.id), author, message);
+    if (DEBUG && line) console.log(`[DEBUG] [${server.name}] Bridge: ${line}`);
   } catch (err) {
-    console.error('Discord channel fetch failed:', err.message);
+    console.error(`[${server.name}] Bridge relay failed:`, err.message);
+    try { await message.react('⚠️'); } catch (_) { /* ignore */ }
   }
-  // Start polling after discord is ready
-  setTimeout(tick, 2000);
-  setInterval(tick, POLL_INTERVAL_MS);
 });
 
-let ticking = false;
-async function tick() {
-  if (ticking) return;
-  ticking = true;
+// Annotates parsed events (server, identities, sessions), stores them and returns what to post
+function processEvents(server, events) {
+  for (const evt of events) {
+    evt.server = server.name;
+    processGeo(evt, server.map);
+    processIdentity(evt);
+    processSession(evt);
+    processLifecycle(evt, server);
+    // Alt detection above needs the IP; without INCLUDE_IP it goes no further (store, filters, sinks, embeds)
+    if (!INCLUDE_IP) delete evt.ip;
+  }
+  saveIdentities();
+  saveSessions();
+  saveLifecycle();
+
+  const outgoing = events.flatMap(evt => [
+    ...processCombat(evt),
+    ...processZones(evt, server),
+    ...processRaids(evt, server)
+  ]).filter(evt => !evt.repeated && !evt.silent);
+  saveRaids();
+  const derived = outgoing.filter(evt => !events.includes(evt));
+  appendEvents(events.concat(derived));
+  return outgoing;
+}
+
+function connectFtp(ftpClient, server) {
+  return ftpClient.access({
+    host: server.ftp.host,
+    port: server.ftp.port,
+    user: server.ftp.user,
+    password: server.ftp.password,
+    secure: server.ftp.secure
+  });
+}
+
+// Servers being polled (or having their whitelist edited) right now
+const ticking = new Set();
+
+async function waitForPoll(server, timeoutMs = 60 * 1000) {
+  const until = Date.now() + timeoutMs;
+  while (ticking.has(server.id)) {
+    if (Date.now() > until) throw new Error(`Server ${server.name} is still being polled`);
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+// Current entries of a whitelist file, read from the server
+async function readWhitelist(server, file) {
   const ftpClient = new ftp.Client(20 * 1000);
-  ftpClient.ftp.verbose = false;
   try {
-    await ftpClient.access({
-      host: FTP_HOST,
-      user: FTP_USER,
-      password: FTP_PASS,
-      secure: false
+    await connectFtp(ftpClient, server);
+    await ftpClient.cd(server.ftp.path);
+    return parseWhitelistEntries(await downloadText(ftpClient, remoteFilePath(file)));
+  } finally {
+    ftpClient.close();
+  }
+}
+
+// Whitelist change from Discord ({ add, remove } SteamIDs) written back over FTP. Runs between
+// polls so the stored hash is current; the update event carries the Discord user as actor.
+async function editWhitelist(server, file, change, actor) {
+  await waitForPoll(server);
+  ticking.add(server.id);
+  const remoteRel = remoteFilePath(file);
+  const ftpClient = new ftp.Client(20 * 1000);
+  try {
+    await connectFtp(ftpClient, server);
+    await ftpClient.cd(server.ftp.path);
+    const sState = serverState(server);
+    const key = monitoredKey(server, remoteRel);
+    const prev = sState.monitored[key];
+    const result = await editWhitelistFile(ftpClient, remoteRel, {
+      ...change,
+      expectedHash: prev && prev.hash,
+      backup: content => backupWhitelist(DATA_DIR, server.id, remoteRel, content)
     });
+    sState.monitored[key] = { hash: result.hash, entries: result.entries, updatedAt: Date.now() };
+    saveState();
+    if (result.added.length || result.removed.length) {
+      queueEvents(server, processEvents(server, [{
+        type: EVENT_TYPES.WHITELIST_UPDATE,
+        format: 'whitelist',
+        file: remoteRel,
+        added: result.added,
+        removed: result.removed,
+        total: result.entries.length,
+        source: 'Discord',
+        actor: actor.name,
+        actorId: actor.id,
+        timestamp: new Date()
+      }]));
+    }
+    return result;
+  } finally {
+    ftpClient.close();
+    ticking.delete(server.id);
+  }
+}
 
-    const files = await listLogFiles(ftpClient);
+async function tick(server) {
+  if (ticking.has(server.id)) return;
+  ticking.add(server.id);
+  const sState = serverState(server);
+  const ftpClient = new ftp.Client(20 * 1000);
+  ftpClient.ftp.verbose = false;
+  try {
+    await connectFtp(ftpClient, server);
+
+    const files = await listLogFiles(ftpClient, server);
     if (DEBUG) {
-      console.log(`[DEBUG] Collegato FTP. File corrispondenti: ${files.length}`);
+      console.log(`[DEBUG] [${server.name}] FTP connected. Matching files: ${files.length}`);
       if (!files.length) {
-        console.log('[DEBUG] Nessun file trovato con i pattern attuali.');
+        console.log(`[DEBUG] [${server.name}] No files match the current patterns.`);
       }
     }
     for (const f of files) {
-      const remoteRel = f.name; // we already cd into FTP_PATH
-      const key = path.posix.join(FTP_PATH.replace(/\\/g, '/'), f.name);
+      const remoteRel = f.name; // we already cd into server.ftp.path
+      const key = path.posix.join(server.ftp.path.replace(/\\/g, '/'), f.name);
       if (DEBUG) {
-        console.log(`[DEBUG] File ${remoteRel}: size=${f.size}`);
+        console.log(`[DEBUG] [${server.name}] File ${remoteRel}: size=${f.size}`);
       }
-      let fileState = state.files[key];
+      let fileState = sState.files[key];
+      let isNewFile = false;
       if (!fileState) {
-        if (!state.bootstrapped && !BACKFILL_ON_BOOT) {
-          state.files[key] = { offset: f.size, updatedAt: Date.now(), bootstrapIgnored: true };
+        if (!sState.bootstrapped && !BACKFILL_ON_BOOT) {
+          sState.files[key] = { offset: f.size, updatedAt: Date.now(), bootstrapIgnored: true };
           if (DEBUG) {
-            console.log(`[DEBUG] ${remoteRel}: primo avvio, salto ${f.size} byte.`);
+            console.log(`[DEBUG] [${server.name}] ${remoteRel}: first run, skipping ${f.size} bytes.`);
           }
           saveState();
           continue;
         }
-        fileState = state.files[key] = { offset: 0, updatedAt: Date.now() };
+        fileState = sState.files[key] = { offset: 0, updatedAt: Date.now() };
+        isNewFile = true;
         if (DEBUG) {
-          console.log(`[DEBUG] ${remoteRel}: nuovo file processato dall'inizio.`);
+          console.log(`[DEBUG] [${server.name}] ${remoteRel}: new file, processing from the start.`);
         }
         saveState();
       }
@@ -388,7 +925,7 @@ async function tick() {
       const from = f.size < last ? 0 : last;
       if (f.size === from) {
         if (DEBUG) {
-          console.log(`[DEBUG] ${remoteRel}: nessuna nuova riga (offset ${from}).`);
+          console.log(`[DEBUG] [${server.name}] ${remoteRel}: no new lines (offset ${from}).`);
         }
         continue; // nothing new
       }
@@ -397,78 +934,91 @@ async function tick() {
       try {
         chunk = await downloadNewChunk(ftpClient, remoteRel, from);
       } catch (err) {
-        console.error(`Download failed for ${remoteRel}:`, err.message);
+        console.error(`[${server.name}] Download failed for ${remoteRel}:`, err.message);
         continue;
       }
 
-      const lines = chunkToLines(chunk);
+      const logType = guessLogType(f.name);
       const events = [];
-      if (DEBUG) {
-        console.log(`[DEBUG] ${remoteRel}: offset ${from} -> ${f.size}, linee nuove=${lines.length}`);
+      // Every server run writes a new RPT; truncation means the same
+      if (logType === 'rpt' && (isNewFile || f.size < last)) {
+        events.push(...rptStarted(server.name, f.name, {
+          fallbackAt: f.modifiedAt || Date.now(),
+          silent: !sState.bootstrapped
+        }));
       }
-      for (const line of lines) {
-        const evt = parseLine(guessLogType(f.name), line);
-        if (evt) {
-          events.push(evt);
-        } else if (DEBUG) {
-          console.log(`[DEBUG] Nessun match: ${line}`);
+      let nextOffset = f.size;
+      if (logType === 'adminxml') {
+        // Incomplete trailing entries are re-read on the next poll
+        const parsed = parseAdminXml(chunk);
+        events.push(...parsed.events);
+        nextOffset = from + Buffer.byteLength(chunk.slice(0, parsed.consumed), 'utf8');
+        if (parsed.skipped) {
+          console.warn(`[${server.name}] ${remoteRel}: skipped ${parsed.skipped} unterminated XML entr${parsed.skipped === 1 ? 'y' : 'ies'}.`);
+        }
+        if (DEBUG) {
+          console.log(`[DEBUG] [${server.name}] ${remoteRel}: offset ${from} -> ${nextOffset}, XML entries=${parsed.events.length}`);
+        }
+      } else {
+        const lines = chunkToLines(chunk);
+        if (DEBUG) {
+          console.log(`[DEBUG] [${server.name}] ${remoteRel}: offset ${from} -> ${f.size}, new lines=${lines.length}`);
+        }
+        if (logType === 'rpt') {
+          // Latest time the run logged, to date a crash that leaves no trace
+          const stamped = lines.slice().reverse().find(line => /\b\d{2}:\d{2}:\d{2}\b/.test(line));
+          if (stamped) rptActivity(server.name, parseTimestamp(stamped));
+        }
+        for (const line of lines) {
+          const evt = parseLine(logType, line);
+          if (evt) {
+            events.push(evt);
+          } else if (DEBUG) {
+            console.log(`[DEBUG] [${server.name}] No match: ${line}`);
+          }
         }
       }
+      const outgoing = processEvents(server, events);
 
-      if (!events.length && DEBUG) {
-        console.log(`[DEBUG] ${remoteRel}: nessun evento da inviare.`);
+      if (!outgoing.length && DEBUG) {
+        console.log(`[DEBUG] [${server.name}] ${remoteRel}: no events to send.`);
       }
 
-      // Post to Discord
-      for (const evt of events) {
-        if (DRY_RUN) {
-          console.log(`[DRY] ${evt.type}:`, JSON.stringify(evt));
-        } else if (channelRef) {
-          try {
-            await channelRef.send({ embeds: [toEmbed(evt)] });
-          } catch (err) {
-            console.error('Discord send failed:', err.message);
-          }
-        }
-      }
+      // Queue for Discord: the offset only advances once the events are persisted
+      queueEvents(server, outgoing);
 
       // Update offset
-      state.files[key] = { offset: f.size, updatedAt: Date.now() };
+      sState.files[key] = { offset: nextOffset, updatedAt: Date.now() };
       saveState();
       if (DEBUG) {
-        console.log(`[DEBUG] ${remoteRel}: eventi inviati=${events.length}`);
+        console.log(`[DEBUG] [${server.name}] ${remoteRel}: events sent=${outgoing.length}`);
       }
     }
-    if (!state.bootstrapped) {
-      state.bootstrapped = true;
+    if (!sState.bootstrapped) {
+      sState.bootstrapped = true;
       saveState();
       if (DEBUG) {
-        console.log('[DEBUG] Bootstrap completato: i log precedenti sono stati ignorati.');
+        console.log(`[DEBUG] [${server.name}] Bootstrap done: existing logs were skipped.`);
       }
     }
 
-    if (WHITELIST_FILES.length) {
-      const whitelistEvents = await processWhitelistFiles(ftpClient);
-      for (const evt of whitelistEvents) {
-        if (DRY_RUN) {
-          console.log(`[DRY] ${evt.type}:`, JSON.stringify(evt));
-        } else if (channelRef) {
-          try {
-            await channelRef.send({ embeds: [toEmbed(evt)] });
-          } catch (err) {
-            console.error('Discord send failed:', err.message);
-          }
-        }
-      }
+    // Hit engagements that never ended in a kill
+    const expired = expireEngagements(server.name);
+    appendEvents(expired);
+    queueEvents(server, expired);
+
+    if (server.monitoredFiles.length) {
+      const fileEvents = await processMonitoredFiles(ftpClient, server);
+      queueEvents(server, processEvents(server, fileEvents));
     }
   } catch (err) {
-    console.error('Tick error:', err.message);
+    console.error(`[${server.name}] Tick error:`, err.message);
     if (DEBUG) {
       console.error(err);
     }
   } finally {
     ftpClient.close();
-    ticking = false;
+    ticking.delete(server.id);
   }
 }
 
@@ -476,27 +1026,40 @@ function guessLogType(name) {
   const lower = name.toLowerCase();
   if (lower.endsWith('.xml') || lower.includes('adminlog')) return 'adminxml';
   if (lower.endsWith('.rpt')) return 'rpt';
+  if (lower.startsWith('script') && lower.endsWith('.log')) return 'script';
   return 'text';
 }
 
 function validateEnv() {
   const missing = [];
-  if (!DISCORD_TOKEN) missing.push('DISCORD_TOKEN');
-  if (!DISCORD_CHANNEL_ID) missing.push('DISCORD_CHANNEL_ID');
-  if (!FTP_HOST) missing.push('FTP_HOST');
-  if (!FTP_USER) missing.push('FTP_USER');
-  if (!FTP_PASS) missing.push('FTP_PASS');
+  if (DELIVERY_MODE === 'bot' && !DISCORD_TOKEN) missing.push('DISCORD_TOKEN');
   if (missing.length) {
     console.error('Missing required env vars:', missing.join(', '));
     process.exit(1);
   }
+  if (DELIVERY_MODE === 'webhook' && bridgeServers.length) {
+    console.warn('Webhook mode: chat bridge disabled (needs DELIVERY_MODE=bot).');
+  }
+  if (DELIVERY_MODE === 'webhook') {
+    const channelTargets = servers
+      .flatMap(server => [...defaultTargets(server), ...routeTable(server).routes.flatMap(r => r.targets)])
+      .filter(target => !isWebhookTarget(target));
+    if (channelTargets.length) {
+      console.warn(`Webhook mode: channel targets ignored (${[...new Set(channelTargets)].join(', ')}).`);
+    }
+  }
 }
 
 validateEnv();
-client.login(DISCORD_TOKEN).catch(err => {
-  console.error('Discord login failed:', err.message);
-  process.exit(1);
-});
+if (DELIVERY_MODE === 'webhook') {
+  console.log('Webhook mode: no Discord login, slash commands disabled.');
+  startWatching();
+} else {
+  client.login(DISCORD_TOKEN).catch(err => {
+    console.error('Discord login failed:', err.message);
+    process.exit(1);
+  });
+}
 
 // Graceful shutdown to announce offline
 let shuttingDown = false;
@@ -504,15 +1067,18 @@ async function gracefulShutdown(signal) {
   if (shuttingDown) return;
   shuttingDown = true;
   try {
-    if (channelRef && !DRY_RUN) {
-      await channelRef.send({ embeds: [buildStatusEmbed('offline')] });
-    }
+    announceStatus('offline');
+    const pending = await drainQueue(5000);
+    if (pending) console.log(`Outbox: ${pending} message(s) pending, they will be sent on the next start.`);
+    await flushSinks(2000);
+    rconClients.forEach(rcon => rcon.close());
   } catch (_) { /* ignore */ }
-  try { await client.destroy(); } catch (_) { /* ignore */ }
+  if (DELIVERY_MODE === 'bot') {
+    try { await client.destroy(); } catch (_) { /* ignore */ }
+  }
   // Allow a short delay to flush
   setTimeout(() => process.exit(0), 200);
 }
 
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-
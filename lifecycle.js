@@ -0,0 +1,157 @@
+// Server lifecycle from the .RPT logs (data/lifecycle.json)
+// Tracks whether each server is up, since when, and how it went down. Every run writes a new RPT
+// file: when one appears while the previous run never logged a shutdown, restart or crash, that
+// run died without a trace and a crash is recorded, dated at the last line that run logged.
+// SERVER events are annotated with the uptime, the crash counts and the last transitions (timeline).
+
+const fs = require('fs');
+const path = require('path');
+const { EVENT_TYPES } = require('./parser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMELINE_KEPT = 50;
+const TIMELINE_SHOWN = 6;
+
+let file = null;
+let db = { servers: {} };
+let dirty = false;
+
+function openLifecycle(dataDir) {
+  file = path.join(dataDir, 'lifecycle.json');
+  try {
+    db = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!db.servers) db.servers = {};
+  } catch (_) {
+    db = { servers: {} };
+  }
+}
+
+function saveLifecycle() {
+  if (!file || !dirty) return;
+  try {
+    fs.writeFileSync(file, JSON.stringify(db, null, 2));
+    dirty = false;
+  } catch (err) {
+    console.error('[Lifecycle] Save failed:', err.message);
+  }
+}
+
+function serverLife(server) {
+  if (!db.servers[server]) {
+    // status: online (started), starting (new RPT seen, no start line yet), offline, unknown
+    db.servers[server] = { status: 'unknown', startedAt: null, rptFile: null, lastLogAt: null, crashes: [], timeline: [] };
+  }
+  return db.servers[server];
+}
+
+function timeOf(evt) {
+  return evt.timestamp ? new Date(evt.timestamp).getTime() : Date.now();
+}
+
+function crashEvent(server, at, rptFile, silent) {
+  return {
+    type: EVENT_TYPES.SERVER,
+    action: 'crash',
+    abrupt: true,
+    rptFile,
+    server,
+    timestamp: new Date(at),
+    silent: silent || undefined
+  };
+}
+
+// Time of the latest line read from the current RPT, where an abrupt end is dated
+function rptActivity(server, at) {
+  if (!at) return;
+  const life = serverLife(server);
+  const time = new Date(at).getTime();
+  if (!life.lastLogAt || time > life.lastLogAt) {
+    life.lastLogAt = time;
+    dirty = true;
+  }
+}
+
+// A new (or truncated) RPT file for `server`; returns a crash event when the previous run
+// never logged how it ended. The crash goes through processEvents like a parsed line.
+// `fallbackAt` dates it when no line of the previous run was seen (e.g. the new file's mtime);
+// `silent` crashes (found while backfilling) are recorded but not posted.
+function rptStarted(server, name, { fallbackAt = Date.now(), silent = false } = {}) {
+  const life = serverLife(server);
+  const previous = life.rptFile;
+  const abrupt = life.status === 'online';
+  const at = life.lastLogAt || new Date(fallbackAt).getTime();
+  life.rptFile = name;
+  life.status = 'starting';
+  life.lastLogAt = null;
+  dirty = true;
+  if (!abrupt) return [];
+  return [crashEvent(server, at, previous || undefined, silent)];
+}
+
+function record(life, action, at) {
+  life.timeline.push({ action, at });
+  if (life.timeline.length > TIMELINE_KEPT) life.timeline.splice(0, life.timeline.length - TIMELINE_KEPT);
+  dirty = true;
+}
+
+function annotate(evt, life, at) {
+  evt.crashes = {
+    day: life.crashes.filter(c => at - c <= DAY_MS).length,
+    week: life.crashes.filter(c => at - c <= 7 * DAY_MS).length
+  };
+  evt.timeline = life.timeline.slice(-TIMELINE_SHOWN).map(entry => ({ action: entry.action, at: new Date(entry.at) }));
+}
+
+// Updates the lifecycle with a SERVER event and annotates it. Lines repeating the current state
+// (an RPT logs several start lines, a restart is followed by a shutdown) are marked `repeated`.
+function processLifecycle(evt, server) {
+  if (evt.type !== EVENT_TYPES.SERVER) return;
+  const life = serverLife(server.name);
+  const at = timeOf(evt);
+  const last = life.timeline[life.timeline.length - 1];
+
+  switch (evt.action) {
+    case 'start':
+      if (life.status === 'online') {
+        evt.repeated = true;
+        return;
+      }
+      life.status = 'online';
+      life.startedAt = at;
+      break;
+    case 'mission_loaded':
+      if (last && last.action === 'mission_loaded' && life.status === 'online') {
+        evt.repeated = true;
+        return;
+      }
+      if (life.startedAt) evt.startupMs = Math.max(0, at - life.startedAt);
+      break;
+    case 'restart':
+    case 'shutdown':
+    case 'crash':
+      // A crash right after a clean stop is still worth counting; a second stop line is not
+      if (life.status === 'offline' && (evt.action !== 'crash' || (last && last.action === 'crash'))) {
+        evt.repeated = true;
+        return;
+      }
+      if (life.startedAt) evt.uptimeMs = Math.max(0, at - life.startedAt);
+      if (evt.action === 'crash') {
+        life.crashes = life.crashes.filter(c => at - c <= 7 * DAY_MS).concat(at);
+      }
+      life.status = 'offline';
+      life.startedAt = null;
+      break;
+    default:
+      return;
+  }
+  record(life, evt.action, at);
+  annotate(evt, life, at);
+}
+
+module.exports = {
+  openLifecycle,
+  saveLifecycle,
+  rptStarted,
+  rptActivity,
+  processLifecycle
+};
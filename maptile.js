@@ -0,0 +1,106 @@
+// Small schematic map tiles (PNG) drawn locally: grid, towns and the event position
+// No map imagery is bundled; the tile shows where on the map the event happened.
+
+const zlib = require('zlib');
+const { mapInfo } = require('./geo');
+const { crc32 } = require('./crc32');
+
+const SIZE = 256;
+const GRID_M = 1000;
+const COLORS = {
+  background: [38, 50, 40],
+  grid: [52, 66, 54],
+  city: [220, 220, 200],
+  town: [170, 175, 160],
+  village: [120, 128, 115],
+  military: [200, 160, 90],
+  marker: [237, 66, 69]
+};
+const TOWN_RADIUS = { city: 3, town: 2, military: 2 };
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// RGB pixels (width * height * 3) -> PNG file
+function encodePng(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolour
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter byte 0 (none) before each row
+    pixels.copy(rows, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function canvas() {
+  const pixels = Buffer.alloc(SIZE * SIZE * 3);
+  const set = (x, y, color) => {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= SIZE || y >= SIZE) return;
+    const i = (y * SIZE + x) * 3;
+    pixels[i] = color[0];
+    pixels[i + 1] = color[1];
+    pixels[i + 2] = color[2];
+  };
+  const disc = (cx, cy, r, color) => {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        if (dx * dx + dy * dy <= r * r) set(cx + dx, cy + dy, color);
+      }
+    }
+  };
+  return { pixels, set, disc };
+}
+
+// PNG of the whole map with `pos` marked, or null for unknown maps
+function renderMapTile(map, pos) {
+  const info = mapInfo(map);
+  if (!info || !pos) return null;
+  const scale = SIZE / info.size;
+  const px = x => x * scale;
+  // Image rows grow downwards, map y grows northwards
+  const py = y => SIZE - 1 - y * scale;
+  const { pixels, set, disc } = canvas();
+
+  for (let i = 0; i < SIZE * SIZE; i++) COLORS.background.forEach((v, c) => { pixels[i * 3 + c] = v; });
+  for (let m = GRID_M; m < info.size; m += GRID_M) {
+    for (let i = 0; i < SIZE; i++) {
+      set(px(m), i, COLORS.grid);
+      set(i, py(m), COLORS.grid);
+    }
+  }
+  for (const loc of info.locations) {
+    disc(px(loc.x), py(loc.y), TOWN_RADIUS[loc.type] || 1, COLORS[loc.type] || COLORS.village);
+  }
+
+  // Marker: crosshair across the tile plus a dot
+  const mx = px(pos.x);
+  const my = py(pos.y);
+  for (let i = 0; i < SIZE; i += 2) {
+    set(mx, i, COLORS.marker);
+    set(i, my, COLORS.marker);
+  }
+  disc(mx, my, 4, COLORS.marker);
+  return encodePng(pixels, SIZE, SIZE);
+}
+
+module.exports = {
+  renderMapTile,
+  encodePng
+};
@@ -0,0 +1,135 @@
+// Monitored server files: whitelist, ban lists and priority queue, diffed on every poll
+// Each format knows how to split a file into entries and what an entry means; additions, removals
+// and changed entries (same id, e.g. a ban with a new expiry or reason) become one update event
+// per file, with the entries matched to known players.
+//
+//   whitelist  whitelist.txt         one SteamID64 per line, "//" comments allowed   -> whitelist_update
+//   ban        ban.txt               one SteamID64 per line, "//" comments allowed   -> ban_update
+//   bebans     BattlEye/bans.txt     "<GUID or IP> <expiry unix time, -1 = never> <reason>" -> ban_update
+//   priority   priority.txt          SteamID64s separated by ";" or new lines         -> priority_update
+//
+// Files without an explicit format get one from their name (see formatFor).
+
+const { EVENT_TYPES } = require('./parser');
+const { parseWhitelistEntries, hashContent, entryId } = require('./whitelist');
+const { lookupIdentity } = require('./identities');
+
+const GUID = /^[0-9a-f]{32}$/i;
+const IP = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+
+function commentOf(line) {
+  const m = String(line).match(/\/\/\s*(.*)$/);
+  return m && m[1] ? m[1].trim() : undefined;
+}
+
+function steamIdEntry(line) {
+  const id = entryId(line);
+  return { id, steamId: /^\d{17}$/.test(id) ? id : undefined, comment: commentOf(line) };
+}
+
+const FORMATS = {
+  whitelist: {
+    type: EVENT_TYPES.WHITELIST_UPDATE,
+    split: parseWhitelistEntries,
+    parse: steamIdEntry
+  },
+  ban: {
+    type: EVENT_TYPES.BAN_UPDATE,
+    split: parseWhitelistEntries,
+    parse: steamIdEntry
+  },
+  bebans: {
+    type: EVENT_TYPES.BAN_UPDATE,
+    split: content => String(content)
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('//')),
+    parse(line) {
+      const [id, expiry, ...reason] = line.split(/\s+/);
+      const until = Number(expiry);
+      return {
+        id: id.toLowerCase(),
+        guid: GUID.test(id) ? id.toLowerCase() : undefined,
+        ip: IP.test(id) ? id : undefined,
+        expires: Number.isFinite(until) && until > 0 ? new Date(until * 1000) : null,
+        reason: reason.join(' ') || undefined
+      };
+    }
+  },
+  priority: {
+    type: EVENT_TYPES.PRIORITY_UPDATE,
+    split: content => String(content)
+      .split(/[;\r\n]+/)
+      .map(item => item.trim())
+      .filter(item => item && !item.startsWith('//')),
+    parse: steamIdEntry
+  }
+};
+
+function formatFor(file, format) {
+  if (format) {
+    const key = String(format).toLowerCase();
+    if (!FORMATS[key]) throw new Error(`Unknown monitored file format "${format}" for ${file}`);
+    return key;
+  }
+  const name = String(file).toLowerCase().split('/').pop();
+  if (name.includes('whitelist')) return 'whitelist';
+  if (name === 'bans.txt') return 'bebans';
+  if (name.includes('ban')) return 'ban';
+  if (name.includes('priority')) return 'priority';
+  return 'whitelist';
+}
+
+// Entry with the name of the known player behind it, if any
+function withPlayer(entry) {
+  const known = lookupIdentity(entry);
+  if (!known) return entry;
+  return { ...entry, player: known.name, steamId: entry.steamId || known.steamId };
+}
+
+// Compares the stored snapshot ({ hash, entries }) with the current content.
+// Returns { snapshot, event } where event is null when nothing relevant changed.
+function diffMonitoredFile(format, file, prev, content) {
+  const spec = FORMATS[format];
+  const items = spec.split(content);
+  const snapshot = { hash: hashContent(content), entries: items, updatedAt: Date.now() };
+  if (!prev || prev.hash === snapshot.hash) return { snapshot, event: null };
+
+  // id -> { line, entry }
+  const index = lines => new Map(lines.map(line => {
+    const entry = spec.parse(line);
+    return [entry.id, { line, entry }];
+  }));
+  const before = index(prev.entries);
+  const after = index(items);
+  const added = [...after.keys()].filter(id => !before.has(id));
+  const removed = [...before.keys()].filter(id => !after.has(id));
+  const changed = [...after.keys()].filter(id =>
+    before.has(id) && JSON.stringify(before.get(id).entry) !== JSON.stringify(after.get(id).entry));
+  if (!added.length && !removed.length && !changed.length) return { snapshot, event: null };
+
+  return {
+    snapshot,
+    event: {
+      type: spec.type,
+      format,
+      file,
+      // Whitelist updates keep listing the file lines, as before
+      added: added.map(id => format === 'whitelist' ? after.get(id).line : id),
+      removed: removed.map(id => format === 'whitelist' ? before.get(id).line : id),
+      changed: changed.map(id => format === 'whitelist' ? after.get(id).line : id),
+      addedEntries: added.map(id => withPlayer(after.get(id).entry)),
+      removedEntries: removed.map(id => withPlayer(before.get(id).entry)),
+      // Current entry, with the one it replaced in `previous`
+      changedEntries: changed.map(id => ({ ...withPlayer(after.get(id).entry), previous: before.get(id).entry })),
+      total: after.size,
+      timestamp: new Date()
+    }
+  };
+}
+
+module.exports = {
+  FORMATS,
+  formatFor,
+  diffMonitoredFile
+};
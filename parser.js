@@ -1,6 +1,9 @@
 // Lightweight parser for DayZ server logs
 // Tries to extract readable events: connect, disconnect, kill, death, chat, admin
 // Note: Log formats vary by server/version; adjust regex as needed for your setup.
+// Server-specific formats can be added without code changes through custom rules (see rules.js).
+
+const { matchRules } = require('./rules');
 
 const EVENT_TYPES = {
   CONNECT: 'connect',
@@ -14,7 +17,15 @@ const EVENT_TYPES = {
   PLAYER_LIST_HEADER: 'player_list_header',
   OBJECT: 'object',
   BASE_ACTION: 'base_action',
-  HIT: 'hit'
+  HIT: 'hit',
+  SERVER: 'server',
+  ENGAGEMENT: 'engagement',
+  COMBAT_LOG: 'combat_log',
+  WHITELIST_UPDATE: 'whitelist_update',
+  BAN_UPDATE: 'ban_update',
+  PRIORITY_UPDATE: 'priority_update',
+  ZONE: 'zone',
+  RAID: 'raid'
 };
 
 function clean(s) {
@@ -394,9 +405,16 @@ function parseObjectPlacement(line) {
   };
 }
 
+// Structure a base action is about: "Built <part> on <object> with <tool>",
+// "Dismantled <part> from <object> with <tool>", "Destroyed <object>"
+function baseActionObject(detail) {
+  const m = String(detail || '').match(/^(?:Built|Dismantled|Destroyed)\s+(.+?)(?:\s+(?:on|from)\s+(.+?))?(?:\s+with\s+.+)?$/i);
+  return m ? clean(m[2] || m[1]) : undefined;
+}
+
 function parseBaseAction(line) {
   const stripped = stripTimestampPrefix(line);
-  const match = stripped.match(/Player\s+"(.+?)".*pos=<([^>]+)>\s*((?:Built|Dismantled|Destroyed)[^$]*)/i);
+  const match = stripped.match(/Player\s+"(.+?)".*pos=<([^>]+)>\)?\s*((?:Built|Dismantled|Destroyed)[^$]*)/i);
   if (!match) return null;
   const player = sanitizePlayer(match[1]);
   const location = clean(match[2]);
@@ -406,7 +424,8 @@ function parseBaseAction(line) {
   return {
     type: EVENT_TYPES.BASE_ACTION,
     player,
-    action: clean(actionWord) || 'azione',
+    action: clean(actionWord),
+    object: baseActionObject(detail),
     detail,
     location
   };
@@ -451,26 +470,137 @@ function parseAdmin(line) {
   return null;
 }
 
+function parseRptLifecycle(line) {
+  // Server lifecycle lines from the .RPT engine log
+  const stripped = stripTimestampPrefix(line);
+  let m = stripped.match(/^\s*(?:Loading|Loaded)\s+mod\s*[:=]?\s*['"]?([^'"]+?)['"]?\s*$/i) ||
+    stripped.match(/^\s*Mod\s+['"]?(@?[^'"]+?)['"]?\s+(?:loaded|initialized)\b/i);
+  if (m) {
+    return {
+      type: EVENT_TYPES.SERVER,
+      action: 'mod_load',
+      mod: clean(m[1])
+    };
+  }
+  // Only the engine's own crash output: gameplay lines mention crashes too ("heli crash spawned")
+  if (/^\s*(?:Unhandled exception\b|Exception code:|Access violation\b|(?:Writing\s+|Creating\s+)?mini\s?dump\b)/i.test(stripped)) {
+    return {
+      type: EVENT_TYPES.SERVER,
+      action: 'crash',
+      detail: clean(stripped)
+    };
+  }
+  // Countdowns announced by the mission or restart scripts: "Server will restart in 5 minutes"
+  m = stripped.match(/\b(?:restart(?:ing)?|shut(?:ting)?\s*down)\s+in\s+(\d+)\s*(min(?:ute)?s?|sec(?:ond)?s?)\b/i);
+  if (m) {
+    return {
+      type: EVENT_TYPES.SERVER,
+      action: 'restart_countdown',
+      seconds: Number(m[1]) * (/^min/i.test(m[2]) ? 60 : 1),
+      detail: clean(stripped)
+    };
+  }
+  if (/^\s*(?:Mission read(?: from (?:bank|directory))?|Mission loaded|Game started)\b/i.test(stripped)) {
+    return {
+      type: EVENT_TYPES.SERVER,
+      action: 'mission_loaded',
+      detail: clean(stripped)
+    };
+  }
+  if (/^\s*(?:Restarting server|Server restart(?:ing)?\b)/i.test(stripped)) {
+    return {
+      type: EVENT_TYPES.SERVER,
+      action: 'restart',
+      detail: clean(stripped)
+    };
+  }
+  if (/^\s*(?:Dedicated host (?:destroyed|stopped)|Server shutdown|Shutting down)\b/i.test(stripped)) {
+    return {
+      type: EVENT_TYPES.SERVER,
+      action: 'shutdown',
+      detail: clean(stripped)
+    };
+  }
+  m = stripped.match(/^\s*(?:==\s*\S*DayZServer\S*\.exe|Exe timestamp:|Dedicated host created)(.*)$/i);
+  if (m) {
+    return {
+      type: EVENT_TYPES.SERVER,
+      action: 'start',
+      detail: clean(stripped)
+    };
+  }
+  return null;
+}
+
+// Parser pipelines per log type (see guessLogType in index.js).
+// Each pipeline tries its parsers in order of specificity; lines matching `ignore` are dropped first.
+const PIPELINES = {};
+
+function registerPipeline(logType, { parsers, ignore = [] }) {
+  PIPELINES[logType] = { parsers: parsers.slice(), ignore: ignore.slice() };
+}
+
+const GAMEPLAY_PARSERS = [
+  parseKillDeath,
+  parseHit,
+  parseBaseAction,
+  parseObjectPlacement,
+  parseScriptPosition,
+  parsePosition,
+  parsePlayerCount,
+  parsePlayerListHeader,
+  parseBattlEye,
+  parseConnectDisconnect,
+  parseChat,
+  parseAdmin
+];
+
+// .ADM and other plain text admin logs
+registerPipeline('text', {
+  parsers: GAMEPLAY_PARSERS,
+  ignore: [
+    /^\s*AdminLog\s+started\s+on\b/i,
+    /^\s*\*{3,}\s*$/
+  ]
+});
+
+// Text wrapped inside adminLog.xml entries without a structured type
+registerPipeline('adminxml', {
+  parsers: GAMEPLAY_PARSERS
+});
+
+// script_*.log written by the mission and mods: gameplay only, no free-form admin matching
+registerPipeline('script', {
+  parsers: GAMEPLAY_PARSERS.filter(fn => fn !== parseAdmin),
+  ignore: [
+    /^\s*(?:\d{2}:\d{2}:\d{2}(?:\.\d+)?\s+)?SCRIPT\s*(?:\((?:W|E)\))?\s*:?\s*(?:Stack trace|Function|Class)\b/i,
+    /^\s*(?:\d{2}:\d{2}:\d{2}(?:\.\d+)?\s+)?\s*(?:Virtual Machine Exception|Reason:)/i
+  ]
+});
+
+// .RPT engine logs: server lifecycle only
+registerPipeline('rpt', {
+  parsers: [parseRptLifecycle],
+  ignore: [
+    /\bUpdating base class\b/i,
+    /\bConflicting addon\b/i,
+    /^\s*(?:\d{2}:\d{2}:\d{2}(?:\.\d+)?\s+)?(?:Warning|Error) Message:/i,
+    /\bString\s+\S+\s+not found\b/i
+  ]
+});
+
 function parseLine(logType, line) {
+  const pipeline = PIPELINES[logType] || PIPELINES.text;
+  if (pipeline.ignore.some(re => re.test(line))) return null;
+
   const timestamp = parseTimestamp(line);
   const base = { raw: line, timestamp };
 
-  // Try patterns in order of specificity
-  const parsers = [
-    parseKillDeath,
-    parseHit,
-    parseBaseAction,
-    parseObjectPlacement,
-    parseScriptPosition,
-    parsePosition,
-    parsePlayerCount,
-    parsePlayerListHeader,
-    parseBattlEye,
-    parseConnectDisconnect,
-    parseChat,
-    parseAdmin
-  ];
-  for (const fn of parsers) {
+  // Custom rules take precedence over the built-in parsers
+  const custom = matchRules(logType, line);
+  if (custom) return { ...base, ...custom };
+
+  for (const fn of pipeline.parsers) {
     const evt = fn(line);
     if (evt) return { ...base, ...evt };
   }
@@ -479,6 +609,10 @@ function parseLine(logType, line) {
 
 module.exports = {
   EVENT_TYPES,
-  parseLine
+  parseLine,
+  registerPipeline,
+  parseTimestamp,
+  sanitizePlayer,
+  baseActionObject
 };
 
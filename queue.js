@@ -0,0 +1,230 @@
+// Outbound queue for Discord posts (data/outbox.json)
+// Messages are persisted before the log offset advances, then delivered in the background:
+// up to 10 embeds per message per target, paced by rate-limit info, retried with exponential
+// backoff. Items that keep failing (or are rejected permanently) go to data/outbox-dead.ndjson;
+// a batch rejected permanently is split and retried one message at a time, so only the bad
+// message is dropped. The outbox file is rewritten every few deliveries and at the end of each
+// pass, so a crash re-sends at most that many messages.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_EMBEDS = 10;
+const MAX_EMBED_CHARS = 6000;
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const IDLE_MS = 1000;
+// Delivered (or dead-lettered) messages between outbox writes
+const PERSIST_EVERY = 5;
+
+let file = null;
+let deadFile = null;
+let items = [];
+let deliver = null;
+let timer = null;
+let running = false;
+let started = false;
+let seq = 0;
+// target -> timestamp before which nothing is sent (rate limit)
+const blockedUntil = new Map();
+
+function openQueue(dataDir, { deliver: deliverFn }) {
+  file = path.join(dataDir, 'outbox.json');
+  deadFile = path.join(dataDir, 'outbox-dead.ndjson');
+  deliver = deliverFn;
+  try {
+    items = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(items)) items = [];
+  } catch (_) {
+    items = [];
+  }
+  return items.length;
+}
+
+function persist() {
+  // Write-then-rename so a crash never leaves a truncated outbox
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(items));
+  fs.renameSync(tmp, file);
+}
+
+function save() {
+  try {
+    persist();
+  } catch (err) {
+    console.error('[Queue] Outbox write failed:', err.message);
+  }
+}
+
+function embedLength(embed) {
+  let n = (embed.title || '').length + (embed.description || '').length;
+  n += ((embed.footer && embed.footer.text) || '').length + ((embed.author && embed.author.name) || '').length;
+  for (const f of embed.fields || []) n += (f.name || '').length + (f.value || '').length;
+  return n;
+}
+
+// Queues messages durably; throws if they could not be written to disk.
+// Each message: { target, embed, content?, options?, files? } where embed is plain JSON and
+// files are [{ name, data }] with base64 data.
+function enqueue(messages) {
+  if (!messages.length) return;
+  const now = Date.now();
+  for (const msg of messages) {
+    seq = (seq + 1) % 1e6;
+    items.push({
+      id: `${now.toString(36)}-${seq}`,
+      target: msg.target,
+      embed: msg.embed,
+      content: msg.content,
+      options: msg.options,
+      files: msg.files,
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now
+    });
+  }
+  persist();
+  schedule(0);
+}
+
+function schedule(delay) {
+  if (timer || !started) return;
+  timer = setTimeout(() => {
+    timer = null;
+    run().catch(err => console.error('[Queue] Worker error:', err.message));
+  }, delay);
+}
+
+// Oldest due items for the first target that is not rate limited
+function nextBatch(now) {
+  const first = items.find(it => it.nextAttemptAt <= now && (blockedUntil.get(it.target) || 0) <= now);
+  if (!first) return null;
+  const batch = [first];
+  // Messages with text content (e.g. role pings), attachments or from a rejected batch are sent on their own
+  if (first.content || first.files || first.solo) return batch;
+  let chars = embedLength(first.embed);
+  for (const it of items) {
+    if (batch.length >= MAX_EMBEDS) break;
+    if (it === first || it.target !== first.target || it.content || it.files || it.solo || it.nextAttemptAt > now) continue;
+    if (JSON.stringify(it.options || {}) !== JSON.stringify(first.options || {})) continue;
+    const len = embedLength(it.embed);
+    if (chars + len > MAX_EMBED_CHARS) break;
+    batch.push(it);
+    chars += len;
+  }
+  return batch;
+}
+
+function isPermanent(err) {
+  const status = err.status || err.httpStatus;
+  return status && status !== 429 && status >= 400 && status < 500;
+}
+
+function deadLetter(batch, err) {
+  const lines = batch.map(it => JSON.stringify({ ...it, error: err.message, failedAt: Date.now() })).join('\n') + '\n';
+  try {
+    fs.appendFileSync(deadFile, lines);
+  } catch (e) {
+    console.error('[Queue] Dead letter write failed:', e.message);
+  }
+}
+
+function remove(batch) {
+  const ids = new Set(batch.map(it => it.id));
+  items = items.filter(it => !ids.has(it.id));
+}
+
+async function run() {
+  if (running) return;
+  running = true;
+  let changed = false;
+  let done = 0;
+  const settled = batch => {
+    remove(batch);
+    done += batch.length;
+    if (done >= PERSIST_EVERY) {
+      save();
+      done = 0;
+      changed = false;
+    }
+  };
+  try {
+    for (;;) {
+      const now = Date.now();
+      const batch = nextBatch(now);
+      if (!batch) break;
+      const target = batch[0].target;
+      const payload = { embeds: batch.map(it => it.embed) };
+      if (batch[0].content) payload.content = batch[0].content;
+      if (batch[0].files) payload.files = batch[0].files;
+      changed = true;
+      try {
+        const info = await deliver(target, payload, batch[0].options);
+        settled(batch);
+        if (info && info.remaining === 0 && info.resetAfterMs) {
+          blockedUntil.set(target, Date.now() + info.resetAfterMs);
+        }
+      } catch (err) {
+        if (err.retryAfterMs) {
+          // Rate limited: not the message's fault, wait without counting an attempt
+          blockedUntil.set(target, Date.now() + err.retryAfterMs);
+        } else if (isPermanent(err) && batch.length > 1) {
+          // One bad embed rejects the whole message: find it by sending them one by one
+          console.error(`[Queue] ${batch.length} message(s) rejected for ${describe(target)}, retrying one at a time:`, err.message);
+          batch.forEach(it => { it.solo = true; });
+        } else if (isPermanent(err) || batch[0].attempts + 1 >= MAX_ATTEMPTS) {
+          console.error(`[Queue] Dropping ${batch.length} message(s) for ${describe(target)}:`, err.message);
+          deadLetter(batch, err);
+          settled(batch);
+        } else {
+          for (const it of batch) {
+            it.attempts += 1;
+            it.nextAttemptAt = Date.now() + Math.min(BASE_BACKOFF_MS * 2 ** it.attempts, MAX_BACKOFF_MS);
+          }
+          console.error(`[Queue] Send failed for ${describe(target)} (attempt ${batch[0].attempts}):`, err.message);
+        }
+      }
+    }
+  } finally {
+    running = false;
+    if (changed) save();
+  }
+  if (items.length) {
+    const now = Date.now();
+    const due = Math.min(...items.map(it => Math.max(it.nextAttemptAt, blockedUntil.get(it.target) || 0)));
+    schedule(Math.max(IDLE_MS, due - now));
+  }
+}
+
+function describe(target) {
+  return /^https?:/i.test(target) ? 'webhook' : target;
+}
+
+// Delivery starts once the Discord client is ready
+function startQueue() {
+  started = true;
+  schedule(0);
+}
+
+// Waits until the queue is empty or the timeout expires; returns the remaining size
+async function drainQueue(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (started && items.length && Date.now() < deadline) {
+    if (!timer && !running) schedule(0);
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return items.length;
+}
+
+function queueSize() {
+  return items.length;
+}
+
+module.exports = {
+  openQueue,
+  startQueue,
+  enqueue,
+  drainQueue,
+  queueSize
+};
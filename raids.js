@@ -0,0 +1,164 @@
+// Raid detection (structure ownership in data/structures.json)
+// OBJECT placements and "Built" BASE_ACTIONs record who built what and where. Dismantled/Destroyed
+// actions by anyone else are clustered by distance and time; once a cluster has enough actions a
+// single RAID event is raised with the raiders and the owners of the structures around it.
+// Owners can be linked to Discord roles that are pinged with the alert (data/raid-roles.json):
+//
+// { "76561198000000000": "123456789012345678", "PlayerName": "123456789012345678" }
+
+const fs = require('fs');
+const path = require('path');
+const { EVENT_TYPES } = require('./parser');
+const { mapLink, nearestLocation } = require('./geo');
+
+// Structures kept per server; the oldest are forgotten first
+const MAX_STRUCTURES = 20000;
+const MAX_ACTIONS_SHOWN = 10;
+
+let file = null;
+let rolesFile = null;
+let db = { structures: {} };
+let roles = {};
+let dirty = false;
+let options = {
+  minActions: 3,
+  windowMs: 10 * 60 * 1000,
+  radius: 100
+};
+// server -> active clusters [{ x, y, actions, raiders, startedAt, lastAt, alerted }]
+const clusters = new Map();
+
+function openRaids(dataDir, opts = {}) {
+  options = { ...options, ...opts };
+  file = path.join(dataDir, 'structures.json');
+  rolesFile = opts.rolesFile || path.join(dataDir, 'raid-roles.json');
+  try {
+    db = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!db.structures) db.structures = {};
+  } catch (_) {
+    db = { structures: {} };
+  }
+  try {
+    roles = JSON.parse(fs.readFileSync(rolesFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('[Raids] Invalid roles file:', err.message);
+    roles = {};
+  }
+}
+
+function saveRaids() {
+  if (!file || !dirty) return;
+  try {
+    fs.writeFileSync(file, JSON.stringify(db));
+    dirty = false;
+  } catch (err) {
+    console.error('[Raids] Save failed:', err.message);
+  }
+}
+
+function timeOf(evt) {
+  return evt.timestamp ? new Date(evt.timestamp).getTime() : Date.now();
+}
+
+function actionOf(evt) {
+  if (evt.type === EVENT_TYPES.OBJECT) return 'built';
+  if (evt.type !== EVENT_TYPES.BASE_ACTION) return null;
+  const m = String(evt.action || '').match(/built|dismantled|destroyed/i);
+  return m ? m[0].toLowerCase() : null;
+}
+
+function recordStructure(server, evt) {
+  const list = db.structures[server] || (db.structures[server] = []);
+  list.push({
+    x: Math.round(evt.pos.x),
+    y: Math.round(evt.pos.y),
+    owner: evt.player,
+    steamId: evt.steamId,
+    object: evt.object || evt.detail,
+    at: timeOf(evt)
+  });
+  if (list.length > MAX_STRUCTURES) list.splice(0, list.length - MAX_STRUCTURES);
+  dirty = true;
+}
+
+// Builders of the structures within the radius, most structures first
+function ownersNear(server, pos) {
+  const counts = new Map();
+  for (const s of db.structures[server] || []) {
+    if (Math.hypot(s.x - pos.x, s.y - pos.y) > options.radius) continue;
+    const key = s.steamId || String(s.owner).toLowerCase();
+    const entry = counts.get(key) || { name: s.owner, steamId: s.steamId, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+function isOwner(owners, evt) {
+  const name = String(evt.player || '').toLowerCase();
+  return owners.some(o => (evt.steamId && o.steamId === evt.steamId) || String(o.name).toLowerCase() === name);
+}
+
+function rolesFor(owners) {
+  const ids = new Set();
+  for (const o of owners) {
+    const role = (o.steamId && roles[o.steamId]) || roles[o.name];
+    if (role) ids.add(String(role));
+  }
+  return [...ids];
+}
+
+function raidEvent(server, cluster, owners, map) {
+  const pos = { x: cluster.x, y: cluster.y };
+  return {
+    type: EVENT_TYPES.RAID,
+    raiders: [...cluster.raiders],
+    owners: owners.map(o => o.name),
+    actions: cluster.actions.length,
+    recentActions: cluster.actions.slice(-MAX_ACTIONS_SHOWN).map(a => `${a.player}: ${a.detail}`),
+    roles: rolesFor(owners),
+    pos,
+    mapUrl: mapLink(map, pos),
+    nearest: nearestLocation(map, pos),
+    startedAt: new Date(cluster.startedAt),
+    server,
+    timestamp: new Date(cluster.lastAt)
+  };
+}
+
+// Returns a RAID event the first time a cluster of destructive actions crosses the threshold
+function processRaids(evt, server) {
+  const action = actionOf(evt);
+  if (!action || !evt.pos) return [];
+  const name = server.name;
+  if (action === 'built') {
+    recordStructure(name, evt);
+    return [];
+  }
+
+  const owners = ownersNear(name, evt.pos);
+  // Owners taking down their own base is not a raid
+  if (isOwner(owners, evt)) return [];
+
+  const at = timeOf(evt);
+  const active = (clusters.get(name) || []).filter(c => at - c.lastAt <= options.windowMs);
+  clusters.set(name, active);
+  let cluster = active.find(c => Math.hypot(c.x - evt.pos.x, c.y - evt.pos.y) <= options.radius);
+  if (!cluster) {
+    cluster = { x: evt.pos.x, y: evt.pos.y, actions: [], raiders: new Set(), startedAt: at, lastAt: at, alerted: false };
+    active.push(cluster);
+  }
+  cluster.actions.push({ player: evt.player, detail: evt.detail || evt.action, at });
+  if (evt.player) cluster.raiders.add(evt.player);
+  cluster.lastAt = at;
+
+  if (cluster.alerted || cluster.actions.length < options.minActions) return [];
+  cluster.alerted = true;
+  return [raidEvent(name, cluster, owners, server.map)];
+}
+
+module.exports = {
+  openRaids,
+  saveRaids,
+  processRaids
+};
@@ -0,0 +1,189 @@
+// BattlEye RCon client (UDP), as spoken by the DayZ server on its RCon port
+// Every packet is "BE" + CRC32 (little endian) of the rest + 0xFF + type + payload:
+//   0x00 login:          password          -> reply 0x01 (ok) / 0x00 (wrong password)
+//   0x01 command:        seq + command     -> reply seq + text, or seq + 0x00 + count + index + part
+//   0x02 server message: seq + text (from the server, must be acknowledged with seq)
+// The server drops clients that send nothing for 45 seconds, so an empty command is sent as keep-alive.
+// scripts/rcon-stub.js is a local server speaking the same protocol, for testing without a DayZ server.
+
+const dgram = require('dgram');
+const { crc32 } = require('./crc32');
+
+const LOGIN = 0x00;
+const COMMAND = 0x01;
+const MESSAGE = 0x02;
+const TIMEOUT_MS = 5 * 1000;
+const KEEPALIVE_MS = 30 * 1000;
+
+function packet(type, payload) {
+  const body = Buffer.concat([Buffer.from([0xFF, type]), payload]);
+  const header = Buffer.alloc(6);
+  header.write('BE', 0, 'ascii');
+  header.writeUInt32LE(crc32(body), 2);
+  return Buffer.concat([header, body]);
+}
+
+// -> { type, payload } or null for anything that is not a valid BattlEye packet
+function readPacket(buf) {
+  if (buf.length < 8 || buf.toString('ascii', 0, 2) !== 'BE' || buf[6] !== 0xFF) return null;
+  if (buf.readUInt32LE(2) !== crc32(buf.subarray(6))) return null;
+  return { type: buf[7], payload: buf.subarray(8) };
+}
+
+// `onMessage(text)` receives server messages (chat, joins, RCon logins); commands are serialized
+function createRconClient({ host, port, password, onMessage, timeoutMs = TIMEOUT_MS }) {
+  let socket = null;
+  let loggedIn = false;
+  let connecting = null;
+  let seq = 0;
+  let keepalive = null;
+  let lastReceived = 0;
+  // seq -> { resolve, reject, parts, timer }
+  const waiting = new Map();
+  let loginWaiter = null;
+  let chain = Promise.resolve();
+
+  function reset(reason) {
+    loggedIn = false;
+    connecting = null;
+    if (keepalive) clearInterval(keepalive);
+    keepalive = null;
+    if (socket) {
+      socket.removeAllListeners();
+      try { socket.close(); } catch (_) { /* already closed */ }
+    }
+    socket = null;
+    for (const [key, w] of waiting) {
+      clearTimeout(w.timer);
+      w.reject(new Error(reason));
+      waiting.delete(key);
+    }
+  }
+
+  function handleCommandReply(payload) {
+    const w = waiting.get(payload[0]);
+    if (!w) return;
+    // Multipart: 0x00, number of packets, index of this one
+    if (payload.length >= 4 && payload[1] === 0x00) {
+      w.parts = w.parts || new Array(payload[2]);
+      w.parts[payload[3]] = payload.subarray(4);
+      if (w.parts.filter(Boolean).length < w.parts.length) return;
+      w.resolve(Buffer.concat(w.parts).toString('utf8'));
+    } else {
+      w.resolve(payload.subarray(1).toString('utf8'));
+    }
+    clearTimeout(w.timer);
+    waiting.delete(payload[0]);
+  }
+
+  function handlePacket(buf) {
+    const pkt = readPacket(buf);
+    if (!pkt) return;
+    lastReceived = Date.now();
+    if (pkt.type === LOGIN && loginWaiter) {
+      loginWaiter(pkt.payload[0] === 0x01);
+    } else if (pkt.type === COMMAND) {
+      handleCommandReply(pkt.payload);
+    } else if (pkt.type === MESSAGE) {
+      socket.send(packet(MESSAGE, pkt.payload.subarray(0, 1)));
+      if (onMessage) onMessage(pkt.payload.subarray(1).toString('utf8'));
+    }
+  }
+
+  function send(type, payload) {
+    return new Promise((resolve, reject) => {
+      socket.send(packet(type, payload), err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  function connect() {
+    if (loggedIn) return Promise.resolve();
+    if (connecting) return connecting;
+    connecting = new Promise((resolve, reject) => {
+      socket = dgram.createSocket('udp4');
+      socket.on('message', handlePacket);
+      socket.on('error', err => reset(`RCon socket error: ${err.message}`));
+      const timer = setTimeout(() => {
+        loginWaiter = null;
+        reset('RCon login timed out');
+        reject(new Error(`RCon login to ${host}:${port} timed out`));
+      }, timeoutMs);
+      loginWaiter = ok => {
+        clearTimeout(timer);
+        loginWaiter = null;
+        if (!ok) {
+          reset('RCon login refused');
+          reject(new Error(`RCon login to ${host}:${port} refused (wrong password?)`));
+          return;
+        }
+        loggedIn = true;
+        connecting = null;
+        lastReceived = Date.now();
+        keepalive = setInterval(() => {
+          // Nothing heard for three rounds: the server forgot us, log in again on next use
+          if (Date.now() - lastReceived > KEEPALIVE_MS * 3) return reset('RCon connection lost');
+          send(COMMAND, Buffer.from([nextSeq()])).catch(() => {});
+        }, KEEPALIVE_MS);
+        keepalive.unref();
+        resolve();
+      };
+      socket.connect(port, host, err => {
+        if (err) return reject(err);
+        send(LOGIN, Buffer.from(String(password), 'utf8')).catch(reject);
+      });
+      socket.unref();
+    });
+    return connecting;
+  }
+
+  function nextSeq() {
+    const current = seq;
+    seq = (seq + 1) % 256;
+    return current;
+  }
+
+  async function run(cmd) {
+    await connect();
+    const id = nextSeq();
+    // The waiter is registered before sending so a fast reply is never missed
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        waiting.delete(id);
+        reject(new Error(`RCon command "${cmd.split(' ')[0]}" timed out`));
+      }, timeoutMs);
+      waiting.set(id, { resolve, reject, timer });
+    });
+    try {
+      await send(COMMAND, Buffer.concat([Buffer.from([id]), Buffer.from(cmd, 'utf8')]));
+    } catch (err) {
+      const w = waiting.get(id);
+      if (w) {
+        clearTimeout(w.timer);
+        waiting.delete(id);
+      }
+      // A reset() may already have rejected it: nobody awaits the reply any more
+      reply.catch(() => {});
+      throw err;
+    }
+    return reply;
+  }
+
+  // Resolves with the server's reply text
+  function command(cmd) {
+    const result = chain.then(() => run(cmd));
+    chain = result.catch(() => {});
+    return result;
+  }
+
+  function close() {
+    reset('RCon client closed');
+  }
+
+  return { connect, command, close };
+}
+
+module.exports = {
+  createRconClient,
+  packet,
+  readPacket
+};
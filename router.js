@@ -0,0 +1,118 @@
+// Routing of events to Discord channels or webhooks
+// Routes are read from a JSON file (default: data/routes.json) and can be overridden per server
+// with a "routes" object in servers.json. Every matching route receives the event; when none
+// matches the event goes to the "default" targets (or the server channels).
+//
+// {
+//   "default": ["123456789012345678"],
+//   "routes": [
+//     { "types": ["kill", "death"], "targets": ["111111111111111111"] },
+//     { "types": ["chat"], "where": { "channel": "Admin" }, "targets": ["222222222222222222"] },
+//     { "types": ["admin"], "where": { "action": ["ban", "kick"] }, "targets": ["https://discord.com/api/webhooks/..."] },
+//     { "types": ["kill"], "targets": ["https://discord.com/api/webhooks/..."], "username": "Killfeed", "avatarUrl": "https://..." },
+//     { "types": ["kill", "death"], "targets": ["333333333333333333"], "locale": "en" }
+//   ],
+//   "locale": "it",                     // optional embed language for default targets
+//   "username": "DayZ",                 // optional webhook identity for default targets
+//   "avatarUrl": "https://..."
+// }
+//
+// "username"/"avatarUrl" only apply to webhook targets; channel targets post as the bot.
+// "locale" falls back to the server's locale, then to the default (see i18n.js).
+
+const fs = require('fs');
+
+const WEBHOOK_URL = /^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\//i;
+
+function toList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map(v => String(v).trim()).filter(Boolean);
+}
+
+function webhookProfile(def) {
+  const profile = {};
+  if (def.username) profile.username = String(def.username).slice(0, 80);
+  if (def.avatarUrl) profile.avatar_url = String(def.avatarUrl);
+  return Object.keys(profile).length ? profile : undefined;
+}
+
+function normalizeTable(data) {
+  if (!data) return null;
+  return {
+    default: toList(data.default),
+    profile: webhookProfile(data),
+    locale: data.locale,
+    routes: (data.routes || []).map(route => ({
+      types: toList(route.types || route.type).map(t => t.toLowerCase()),
+      where: route.where || {},
+      targets: toList(route.targets || route.target),
+      profile: webhookProfile(route),
+      locale: route.locale
+    }))
+  };
+}
+
+function loadRoutes(file) {
+  if (!fs.existsSync(file)) return normalizeTable({});
+  return normalizeTable(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function isWebhookTarget(target) {
+  return WEBHOOK_URL.test(target);
+}
+
+const REGEX_VALUE = /^\/(.+)\/([a-z]*)$/;
+
+function matchesValue(wanted, actual) {
+  const re = typeof wanted === 'string' && wanted.match(REGEX_VALUE);
+  if (re) return new RegExp(re[1], re[2]).test(String(actual));
+  return String(wanted).toLowerCase() === String(actual).toLowerCase();
+}
+
+// `where` values match case-insensitively, "/regex/flags" strings as regular expressions;
+// arrays match any of their values
+function matchesWhere(evt, where) {
+  return Object.entries(where).every(([field, expected]) => {
+    const actual = evt[field];
+    if (actual == null) return false;
+    const wanted = Array.isArray(expected) ? expected : [expected];
+    return wanted.some(w => matchesValue(w, actual));
+  });
+}
+
+// Returns [{ target, profile, locale }]: profile is the webhook username/avatar to post with,
+// locale the embed language when the route sets one
+function resolveTargets(evt, table, fallback = []) {
+  const targets = new Map();
+  for (const route of table.routes) {
+    if (route.types.length && !route.types.includes(evt.type)) continue;
+    if (!matchesWhere(evt, route.where)) continue;
+    route.targets.forEach(target => {
+      if (!targets.has(target)) {
+        targets.set(target, { target, profile: route.profile || table.profile, locale: route.locale || table.locale });
+      }
+    });
+  }
+  if (!targets.size) {
+    (table.default.length ? table.default : fallback).forEach(target => {
+      targets.set(target, { target, profile: table.profile, locale: table.locale });
+    });
+  }
+  return [...targets.values()];
+}
+
+// Every target a table can send to, used to prefetch channels on startup
+function allTargets(table, fallback = []) {
+  const set = new Set([...table.default, ...fallback]);
+  table.routes.forEach(route => route.targets.forEach(t => set.add(t)));
+  return [...set];
+}
+
+module.exports = {
+  loadRoutes,
+  normalizeTable,
+  resolveTargets,
+  allTargets,
+  isWebhookTarget,
+  matchesWhere
+};
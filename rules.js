@@ -0,0 +1,126 @@
+// Custom parser rules loaded from a JSON file (default: data/rules.json)
+// Lets mods (Expansion, CF, trader mods...) be handled without forking parser.js.
+// Rules are consulted by parseLine() before the built-in pipelines and reload when the file changes.
+//
+// File format: an array of rules, or { "rules": [...] }
+// {
+//   "name": "expansion-market",
+//   "logTypes": ["script"],              // optional, default: all log types
+//   "contains": "[Market]",              // optional substring(s) that must all be present
+//   "pattern": "Player \"(?<player>[^\"]+)\" bought (?<item>\\S+) for (?<price>\\d+)",
+//   "flags": "i",
+//   "type": "trade",                     // an EVENT_TYPES value or a custom type
+//   "title": "Acquisto al trader",       // optional embed title for custom types
+//   "fields": { "player": "player", "item": "item", "price": "price:number" },
+//   "set": { "source": "Expansion" }     // optional constant fields
+// }
+
+const fs = require('fs');
+
+let rules = [];
+let watchedFile = null;
+
+function toList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function compileRule(def, index) {
+  const name = def.name || `rule#${index + 1}`;
+  if (!def.type) throw new Error(`${name}: missing "type"`);
+  if (!def.pattern && !def.contains) throw new Error(`${name}: needs "pattern" or "contains"`);
+  return {
+    name,
+    type: String(def.type),
+    title: def.title,
+    logTypes: toList(def.logTypes).map(t => String(t).toLowerCase()),
+    contains: toList(def.contains).map(String),
+    regex: def.pattern ? new RegExp(def.pattern, def.flags || '') : null,
+    fields: def.fields || null,
+    set: def.set || {}
+  };
+}
+
+function loadRules(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[Rules] Read failed for ${file}:`, err.message);
+    rules = [];
+    return rules;
+  }
+
+  let defs;
+  try {
+    const data = JSON.parse(raw);
+    defs = Array.isArray(data) ? data : toList(data.rules);
+  } catch (err) {
+    // Keep the previous rules so a half-saved file does not disable parsing
+    console.error(`[Rules] Invalid JSON in ${file}:`, err.message);
+    return rules;
+  }
+
+  const compiled = [];
+  defs.forEach((def, i) => {
+    try {
+      compiled.push(compileRule(def, i));
+    } catch (err) {
+      console.error('[Rules] Rule skipped:', err.message);
+    }
+  });
+  rules = compiled;
+  return rules;
+}
+
+// Reload rules whenever the file is modified, without restarting the bot
+function watchRules(file, onReload) {
+  if (watchedFile) fs.unwatchFile(watchedFile);
+  watchedFile = file;
+  const watcher = fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    const loaded = loadRules(file);
+    if (onReload) onReload(loaded);
+  });
+  watcher.unref();
+}
+
+function mapFields(rule, groups) {
+  if (!rule.fields) return { ...groups };
+  const out = {};
+  for (const [field, spec] of Object.entries(rule.fields)) {
+    const [group, cast] = String(spec).split(':');
+    const value = groups[group];
+    if (value === undefined) continue;
+    out[field] = cast === 'number' ? Number(value) : value.trim();
+  }
+  return out;
+}
+
+// Returns the partial event of the first matching rule, or null
+function matchRules(logType, line) {
+  for (const rule of rules) {
+    if (rule.logTypes.length && !rule.logTypes.includes(logType)) continue;
+    if (!rule.contains.every(s => line.includes(s))) continue;
+    let groups = {};
+    if (rule.regex) {
+      const m = line.match(rule.regex);
+      if (!m) continue;
+      groups = m.groups || {};
+    }
+    return {
+      type: rule.type,
+      ...(rule.title ? { title: rule.title } : {}),
+      ...rule.set,
+      ...mapFields(rule, groups),
+      rule: rule.name
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  loadRules,
+  watchRules,
+  matchRules
+};
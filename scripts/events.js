@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Query and export the local event store (data/events/) without the bot running
+// Usage:
+//   node scripts/events.js search [--player NAME|STEAMID] [--type kill,death] [--server NAME]
+//                                 [--since 2025-09-01] [--until 2025-09-30] [--text foo] [--limit 50]
+//   node scripts/events.js export [same filters] [--format ndjson|csv] > events.csv
+//   node scripts/events.js show <id>
+//   node scripts/events.js stats
+
+const path = require('path');
+const { openStore, queryEvents, getEvent, storeStats } = require('../store');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith('--')) {
+      args[a.slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    } else {
+      args._.push(a);
+    }
+  }
+  return args;
+}
+
+function filtersFrom(args) {
+  return {
+    player: args.player,
+    types: args.type ? String(args.type).split(',').map(s => s.trim()) : undefined,
+    server: args.server,
+    since: args.since ? new Date(args.since) : undefined,
+    until: args.until ? new Date(args.until) : undefined,
+    text: args.text,
+    limit: args.limit ? Number(args.limit) : undefined
+  };
+}
+
+function csvValue(value) {
+  if (value == null) return '';
+  const s = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(list) {
+  const columns = [...new Set(list.flatMap(evt => Object.keys(evt)))];
+  const rows = list.map(evt => columns.map(c => csvValue(evt[c])).join(','));
+  return [columns.join(','), ...rows].join('\n');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cmd = args._[0] || 'search';
+  openStore(path.resolve(args.data || path.join(process.cwd(), 'data')));
+
+  switch (cmd) {
+    case 'search':
+    case 'export': {
+      // Oldest first reads better in a terminal and in exports
+      const list = queryEvents(filtersFrom(args)).reverse();
+      if (cmd === 'export' && args.format === 'csv') {
+        console.log(toCsv(list));
+      } else {
+        list.forEach(evt => console.log(JSON.stringify(evt)));
+      }
+      break;
+    }
+    case 'show': {
+      const evt = getEvent(args._[1]);
+      if (!evt) {
+        console.error(`Event ${args._[1]} not found`);
+        process.exit(1);
+      }
+      console.log(JSON.stringify(evt, null, 2));
+      break;
+    }
+    case 'stats':
+      console.log(JSON.stringify(storeStats(), null, 2));
+      break;
+    default:
+      console.error(`Unknown command: ${cmd}`);
+      process.exit(1);
+  }
+}
+
+main();
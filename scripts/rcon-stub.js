@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Local BattlEye RCon server for testing the bridge and the RCon commands without a DayZ server
+// Usage:
+//   node scripts/rcon-stub.js [--port 2306] [--password secret] [--chat 30]
+// Logs every command it receives; "say -1 <text>" is echoed back to the clients as a server
+// message, like the real server does. players, kick, ban, addBan, bans and removeBan work on a
+// small in-memory list. --chat sends a fake in-game chat line every N seconds.
+
+const dgram = require('dgram');
+const { packet, readPacket } = require('../rcon');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port || 2306);
+const PASSWORD = String(args.password || 'secret');
+// Replies longer than this are split in several packets, to exercise the multipart path
+const PART_SIZE = 512;
+
+const players = [
+  { number: 0, ip: '127.0.0.1', ping: 31, guid: '0123456789abcdef0123456789abcdef', name: 'Survivor' },
+  { number: 1, ip: '127.0.0.2', ping: 78, guid: 'fedcba9876543210fedcba9876543210', name: 'Bandit' }
+];
+// [{ guid, minutes, reason }]
+const bans = [];
+
+const server = dgram.createSocket('udp4');
+// "address:port" -> { address, port, seq }
+const clients = new Map();
+
+function sendTo(client, type, payload) {
+  server.send(packet(type, payload), client.port, client.address);
+}
+
+function broadcast(text) {
+  for (const client of clients.values()) {
+    sendTo(client, 0x02, Buffer.concat([Buffer.from([client.seq]), Buffer.from(text, 'utf8')]));
+    client.seq = (client.seq + 1) % 256;
+  }
+}
+
+function reply(client, seq, text) {
+  const data = Buffer.from(text, 'utf8');
+  if (data.length <= PART_SIZE) {
+    sendTo(client, 0x01, Buffer.concat([Buffer.from([seq]), data]));
+    return;
+  }
+  const count = Math.ceil(data.length / PART_SIZE);
+  for (let i = 0; i < count; i++) {
+    const part = data.subarray(i * PART_SIZE, (i + 1) * PART_SIZE);
+    sendTo(client, 0x01, Buffer.concat([Buffer.from([seq, 0x00, count, i]), part]));
+  }
+}
+
+function execute(cmd) {
+  const [name, ...rest] = cmd.split(' ');
+  switch (name.toLowerCase()) {
+    case '':
+      return '';
+    case 'players':
+      return ['Players on server:', '[#] [IP Address]:[Port] [Ping] [GUID] [Name]', '-'.repeat(60),
+        ...players.map(p => `${p.number}   ${p.ip}:2304    ${p.ping}   ${p.guid}(OK) ${p.name}`),
+        `(${players.length} players in total)`].join('\n');
+    case 'say':
+      broadcast(`RCon admin #0: (Global) ${rest.slice(1).join(' ')}`);
+      return '';
+    case 'kick':
+    case 'ban': {
+      const i = players.findIndex(p => p.number === Number(rest[0]));
+      if (i < 0) return 'Invalid player number';
+      const [player] = players.splice(i, 1);
+      if (name.toLowerCase() === 'ban') bans.push({ guid: player.guid, minutes: rest[1], reason: rest.slice(2).join(' ') });
+      broadcast(`Player #${player.number} ${player.name} (${player.guid}) has been ${name.toLowerCase() === 'ban' ? 'banned' : 'kicked'}`);
+      return '';
+    }
+    case 'addban':
+      bans.push({ guid: rest[0], minutes: rest[1], reason: rest.slice(2).join(' ') });
+      return '';
+    case 'bans':
+      return ['GUID Bans:', '[#] [GUID] [Minutes left] [Reason]', '-'.repeat(40),
+        ...bans.map((b, i) => `${i}  ${b.guid} ${Number(b.minutes) ? b.minutes : 'perm'} ${b.reason}`)].join('\n');
+    case 'removeban':
+      bans.splice(Number(rest[0]), 1);
+      return '';
+    case '#shutdown':
+      console.log('[stub] Shutdown requested');
+      return '';
+    default:
+      return '';
+  }
+}
+
+server.on('message', (buf, rinfo) => {
+  const pkt = readPacket(buf);
+  if (!pkt) return;
+  const key = `${rinfo.address}:${rinfo.port}`;
+  if (pkt.type === 0x00) {
+    const ok = pkt.payload.toString('utf8') === PASSWORD;
+    if (ok) clients.set(key, { address: rinfo.address, port: rinfo.port, seq: 0 });
+    console.log(`[stub] Login ${ok ? 'ok' : 'refused'} from ${key}`);
+    sendTo(rinfo, 0x00, Buffer.from([ok ? 0x01 : 0x00]));
+    return;
+  }
+  const client = clients.get(key);
+  if (!client) return;
+  if (pkt.type === 0x01) {
+    const cmd = pkt.payload.subarray(1).toString('utf8');
+    if (cmd) console.log(`[stub] ${key} > ${cmd}`);
+    reply(client, pkt.payload[0], execute(cmd));
+  }
+});
+
+server.bind(PORT, () => {
+  console.log(`[stub] BattlEye RCon on udp/${PORT}, password "${PASSWORD}"`);
+  if (args.chat) {
+    setInterval(() => broadcast('(Global) Survivor: hello from the stub'), Number(args.chat) * 1000);
+  }
+});
@@ -0,0 +1,144 @@
+// Server definitions: several DayZ servers can be watched by a single bot.
+// Servers are read from a JSON file (default: data/servers.json); when the file does not exist
+// a single server is built from the legacy FTP_* / DISCORD_CHANNEL_ID env vars.
+//
+// File format: an array of servers, or { "servers": [...] }
+// {
+//   "name": "Chernarus",
+//   "map": "chernarusplus",
+//   "locale": "en",                                     // optional, embed language (see i18n.js)
+//   "ftp": { "host": "...", "user": "...", "password": "...", "path": "/dayzstandalone/config", "secure": false },
+//   "filePatterns": ["*.ADM", "*.RPT", "script_*.log"],
+//   "whitelistFiles": ["whitelist.txt"],
+//   "monitoredFiles": ["ban.txt", "BattlEye/bans.txt", { "path": "priority.txt", "format": "priority" }],
+//   "channels": ["123456789012345678"],
+//   "routes": { "default": [...], "routes": [...] },   // optional, see router.js
+//   "rcon": { "host": "...", "port": 2306, "password": "..." },  // optional, BattlEye RCon (host defaults to ftp.host)
+//   "bridgeChannel": "123456789012345678",             // optional, Discord channel relayed in-game (needs rcon)
+//   "pollIntervalMs": 60000
+// }
+
+const fs = require('fs');
+const { normalizeTable } = require('./router');
+const { formatFor } = require('./monitored');
+
+const DEFAULT_FILE_PATTERNS = 'adminLog.xml,latest.log,*.rpt,server.log,script_*.log';
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map(s => String(s).trim()).filter(Boolean);
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'server';
+}
+
+// "path", "path:format" or { path, format }; whitelist files are monitored too
+function normalizeMonitored(whitelistFiles, defs) {
+  const files = whitelistFiles.map(file => ({ path: file, format: 'whitelist' }));
+  for (const def of Array.isArray(defs) ? defs : splitList(defs)) {
+    const [file, format] = typeof def === 'string' ? def.split(':').map(s => s.trim()) : [def.path, def.format];
+    if (file && !files.some(f => f.path === file)) files.push({ path: file, format: formatFor(file, format) });
+  }
+  return files;
+}
+
+function normalizeRcon(rcon, ftpHost) {
+  if (!rcon || rcon.password == null) return null;
+  return {
+    host: rcon.host || ftpHost,
+    port: Number(rcon.port || 2306),
+    password: String(rcon.password)
+  };
+}
+
+function normalizeServer(def, env, index) {
+  const ftp = def.ftp || {};
+  const name = def.name || `Server ${index + 1}`;
+  const server = {
+    id: def.id || slugify(name),
+    name,
+    map: def.map || env.DAYZ_MAP || 'chernarusplus',
+    locale: def.locale,
+    ftp: {
+      host: ftp.host,
+      port: ftp.port ? Number(ftp.port) : 21,
+      user: ftp.user,
+      password: ftp.password != null ? ftp.password : ftp.pass,
+      path: ftp.path || '/',
+      secure: Boolean(ftp.secure)
+    },
+    filePatterns: splitList(def.filePatterns || env.FILE_PATTERNS || DEFAULT_FILE_PATTERNS),
+    whitelistFiles: splitList(def.whitelistFiles),
+    monitoredFiles: normalizeMonitored(splitList(def.whitelistFiles), def.monitoredFiles),
+    channels: splitList(def.channels || def.channelId),
+    routes: def.routes ? normalizeTable(def.routes) : null,
+    rcon: normalizeRcon(def.rcon, ftp.host),
+    bridgeChannel: def.bridgeChannel ? String(def.bridgeChannel) : null,
+    pollIntervalMs: Number(def.pollIntervalMs || env.POLL_INTERVAL_MS || 60000)
+  };
+
+  const missing = [];
+  if (!server.ftp.host) missing.push('ftp.host');
+  if (!server.ftp.user) missing.push('ftp.user');
+  if (server.ftp.password == null) missing.push('ftp.password');
+  if (server.bridgeChannel && !server.rcon) missing.push('rcon (for bridgeChannel)');
+  if (missing.length) {
+    throw new Error(`Server "${name}": missing ${missing.join(', ')}`);
+  }
+  return server;
+}
+
+// Single server from the legacy env configuration
+function serverFromEnv(env) {
+  const missing = ['FTP_HOST', 'FTP_USER', 'FTP_PASS'].filter(k => !env[k]);
+  if (!env.DISCORD_CHANNEL_ID && !env.DISCORD_WEBHOOK_URL) missing.unshift('DISCORD_CHANNEL_ID');
+  if (missing.length) {
+    throw new Error(`Missing required env vars: ${missing.join(', ')}`);
+  }
+  return {
+    name: env.SERVER_NAME || 'DayZ',
+    ftp: {
+      host: env.FTP_HOST,
+      user: env.FTP_USER,
+      password: env.FTP_PASS,
+      path: env.FTP_PATH || '/'
+    },
+    whitelistFiles: env.WHITELIST_FILES,
+    monitoredFiles: env.MONITORED_FILES,
+    rcon: env.RCON_PASSWORD ? { host: env.RCON_HOST, port: env.RCON_PORT, password: env.RCON_PASSWORD } : undefined,
+    bridgeChannel: env.BRIDGE_CHANNEL_ID,
+    channels: [env.DISCORD_CHANNEL_ID, env.DISCORD_WEBHOOK_URL].filter(Boolean)
+  };
+}
+
+function loadServers(file, env = process.env) {
+  let defs;
+  if (fs.existsSync(file)) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    defs = Array.isArray(data) ? data : data.servers;
+    if (!Array.isArray(defs) || !defs.length) {
+      throw new Error(`${file}: no servers defined`);
+    }
+  } else {
+    defs = [serverFromEnv(env)];
+  }
+
+  const servers = defs.map((def, i) => normalizeServer(def, env, i));
+  const ids = new Set();
+  for (const server of servers) {
+    if (ids.has(server.id)) throw new Error(`Duplicate server id "${server.id}"`);
+    ids.add(server.id);
+  }
+  return servers;
+}
+
+module.exports = {
+  loadServers
+};
@@ -0,0 +1,189 @@
+// Player sessions and playtime (data/sessions.json)
+// CONNECT opens a session, DISCONNECT closes it and annotates the event with its length.
+// Server restarts close every dangling session, and PLAYER_COUNT / player list snapshots are used
+// to reconcile the roster with who the server says is online.
+
+const fs = require('fs');
+const path = require('path');
+const { EVENT_TYPES } = require('./parser');
+
+let file = null;
+let db = { open: {}, totals: {} };
+let dirty = false;
+// In-progress player list snapshot per server (not persisted)
+const snapshots = new Map();
+
+const LIFECYCLE_ACTIONS = ['start', 'restart', 'shutdown', 'crash'];
+
+function openSessions(dataDir) {
+  file = path.join(dataDir, 'sessions.json');
+  try {
+    db = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!db.open) db.open = {};
+    if (!db.totals) db.totals = {};
+  } catch (_) {
+    db = { open: {}, totals: {} };
+  }
+}
+
+function saveSessions() {
+  if (!file || !dirty) return;
+  try {
+    fs.writeFileSync(file, JSON.stringify(db, null, 2));
+    dirty = false;
+  } catch (err) {
+    console.error('[Sessions] Save failed:', err.message);
+  }
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+function playerKey(name, steamId) {
+  if (steamId) return steamId;
+  return name ? `name:${String(name).toLowerCase()}` : null;
+}
+
+function serverOpen(server) {
+  if (!db.open[server]) db.open[server] = {};
+  return db.open[server];
+}
+
+function findOpenKey(open, name, steamId) {
+  const key = playerKey(name, steamId);
+  if (key && open[key]) return key;
+  // Disconnect lines often lack the SteamID seen at connect time
+  const lower = String(name || '').toLowerCase();
+  return Object.keys(open).find(k => String(open[k].player || '').toLowerCase() === lower) || null;
+}
+
+function startSession(server, name, steamId, at, inferred) {
+  const open = serverOpen(server);
+  const existing = findOpenKey(open, name, steamId);
+  if (existing) return open[existing];
+  const key = playerKey(name, steamId);
+  if (!key) return null;
+  open[key] = { player: name, steamId, start: at, ...(inferred ? { inferred: true } : {}) };
+  dirty = true;
+  return open[key];
+}
+
+// Closes an open session and adds it to the player's playtime; returns its length in ms
+function endSession(server, key, at) {
+  const open = serverOpen(server);
+  const session = open[key];
+  if (!session) return null;
+  delete open[key];
+  const duration = Math.max(0, at - session.start);
+  const totalKey = session.steamId || key;
+  const total = db.totals[totalKey] || (db.totals[totalKey] = { player: session.player, steamId: session.steamId, playtimeMs: 0, sessions: 0 });
+  total.player = session.player || total.player;
+  total.playtimeMs += duration;
+  total.sessions += 1;
+  dirty = true;
+  return { duration, start: session.start };
+}
+
+function closeAll(server, at) {
+  const open = serverOpen(server);
+  const keys = Object.keys(open);
+  keys.forEach(key => endSession(server, key, at));
+  return keys.length;
+}
+
+function finishSnapshot(server) {
+  const snap = snapshots.get(server);
+  if (!snap) return;
+  snapshots.delete(server);
+  const open = serverOpen(server);
+  const seenKeys = new Set();
+  for (const name of snap.seen) {
+    const session = startSession(server, name, undefined, snap.at, true);
+    const key = findOpenKey(open, name);
+    if (session && key) seenKeys.add(key);
+  }
+  for (const key of Object.keys(open)) {
+    if (!seenKeys.has(key)) endSession(server, key, snap.at);
+  }
+}
+
+// Updates sessions from an event; annotates DISCONNECT events with the session length
+function processSession(evt) {
+  const server = evt.server || 'default';
+  const at = evt.timestamp ? new Date(evt.timestamp).getTime() : Date.now();
+  const snap = snapshots.get(server);
+
+  // A snapshot lasts while its player lines keep coming
+  if (snap && evt.type !== EVENT_TYPES.POSITION && evt.type !== EVENT_TYPES.PLAYER_LIST_HEADER) {
+    finishSnapshot(server);
+  }
+
+  switch (evt.type) {
+    case EVENT_TYPES.CONNECT:
+      startSession(server, evt.player, evt.steamId, at);
+      break;
+    case EVENT_TYPES.DISCONNECT: {
+      const key = findOpenKey(serverOpen(server), evt.player, evt.steamId);
+      const ended = key && endSession(server, key, at);
+      if (ended) {
+        evt.sessionDuration = ended.duration;
+        evt.sessionStart = new Date(ended.start);
+      }
+      break;
+    }
+    case EVENT_TYPES.SERVER:
+      if (LIFECYCLE_ACTIONS.includes(evt.action)) {
+        evt.closedSessions = closeAll(server, at);
+      }
+      break;
+    case EVENT_TYPES.PLAYER_COUNT:
+      snapshots.set(server, { expected: evt.count || 0, seen: new Set(), at });
+      if (!evt.count) finishSnapshot(server);
+      break;
+    case EVENT_TYPES.PLAYER_LIST_HEADER:
+      if (!snap) snapshots.set(server, { expected: Infinity, seen: new Set(), at });
+      break;
+    case EVENT_TYPES.POSITION:
+      if (snap && evt.player) {
+        snap.seen.add(evt.player);
+        if (snap.seen.size >= snap.expected) finishSnapshot(server);
+      }
+      break;
+    default:
+      break;
+  }
+  return evt;
+}
+
+// Players currently online on a server (or all servers), longest session first
+function onlinePlayers(server) {
+  const servers = server ? [server] : Object.keys(db.open);
+  const list = [];
+  for (const s of servers) {
+    for (const session of Object.values(db.open[s] || {})) {
+      list.push({ server: s, ...session });
+    }
+  }
+  return list.sort((a, b) => a.start - b.start);
+}
+
+function playtimeOf(name, steamId) {
+  if (steamId && db.totals[steamId]) return db.totals[steamId];
+  const lower = String(name || '').toLowerCase();
+  return db.totals[playerKey(name)] ||
+    Object.values(db.totals).find(t => String(t.player || '').toLowerCase() === lower) ||
+    null;
+}
+
+module.exports = {
+  openSessions,
+  saveSessions,
+  processSession,
+  onlinePlayers,
+  playtimeOf,
+  formatDuration
+};
@@ -0,0 +1,192 @@
+// Output sinks: copies of the outgoing events for systems other than Discord
+// Sinks are read from a JSON file (default: data/sinks.json). Each one has an optional "types"
+// filter (event types, all when omitted):
+//
+// [
+//   { "type": "http", "url": "https://dashboard.example/ingest", "secret": "s3cret", "types": ["kill", "death"] },
+//   { "type": "file", "path": "data/sinks/events.ndjson", "maxBytes": 10485760, "maxFiles": 5 },
+//   { "type": "stdout", "types": ["connect", "disconnect"] }
+// ]
+//
+// http:   POSTs each event as JSON. With a "secret" the body is signed with HMAC-SHA256 in the
+//         X-Signature-256 header ("sha256=<hex>"), over "<X-Timestamp>.<body>". Posts wait in a
+//         queue per sink with at most "concurrency" (default 4) in flight; past "maxQueue"
+//         (default 10000) waiting events the oldest are dropped.
+// file:   appends NDJSON, rotating to <path>.1 ... <path>.<maxFiles> when maxBytes is exceeded.
+// stdout: one NDJSON line per event (e.g. for Loki/promtail via the container log).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const HTTP_ATTEMPTS = 3;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_QUEUE = 10000;
+
+let sinks = [];
+
+function toList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+function normalizeSink(def, index, baseDir) {
+  const type = String(def.type || '').toLowerCase();
+  const sink = { type, name: def.name || `${type}#${index + 1}`, types: toList(def.types || def.eventTypes) };
+  switch (type) {
+    case 'http':
+      if (!def.url) throw new Error(`Sink ${sink.name}: missing "url"`);
+      return {
+        ...sink,
+        url: def.url,
+        secret: def.secret,
+        headers: def.headers || {},
+        concurrency: Math.max(1, Number(def.concurrency) || DEFAULT_CONCURRENCY),
+        maxQueue: Math.max(1, Number(def.maxQueue) || DEFAULT_MAX_QUEUE),
+        // [{ type, body }] waiting to be posted, and how many posts are in flight
+        queue: [],
+        active: 0
+      };
+    case 'file':
+      return {
+        ...sink,
+        path: path.resolve(baseDir, def.path || path.join('sinks', 'events.ndjson')),
+        maxBytes: Number(def.maxBytes) || DEFAULT_MAX_BYTES,
+        maxFiles: Math.max(1, Number(def.maxFiles) || DEFAULT_MAX_FILES)
+      };
+    case 'stdout':
+      return sink;
+    default:
+      throw new Error(`Sink ${sink.name}: unknown type "${def.type}"`);
+  }
+}
+
+// `extra` adds sinks on top of the file (e.g. stdout for DRY_RUN); returns the active sinks
+function openSinks(file, dataDir, extra = []) {
+  const defs = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  if (!Array.isArray(defs)) throw new Error('Sinks file must contain an array');
+  sinks = defs.concat(extra).map((def, i) => normalizeSink(def, i, dataDir));
+  for (const sink of sinks) {
+    if (sink.type === 'file') fs.mkdirSync(path.dirname(sink.path), { recursive: true });
+  }
+  return sinks;
+}
+
+function accepts(sink, evt) {
+  return !sink.types.length || sink.types.includes(evt.type);
+}
+
+function serialize(evt) {
+  return JSON.stringify(evt);
+}
+
+function rotate(sink) {
+  for (let i = sink.maxFiles - 1; i >= 1; i--) {
+    const from = `${sink.path}.${i}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${sink.path}.${i + 1}`);
+  }
+  fs.renameSync(sink.path, `${sink.path}.1`);
+}
+
+function writeFile(sink, lines) {
+  let size = 0;
+  try {
+    size = fs.statSync(sink.path).size;
+  } catch (_) { /* new file */ }
+  if (size && size + Buffer.byteLength(lines) > sink.maxBytes) rotate(sink);
+  fs.appendFileSync(sink.path, lines);
+}
+
+function signatureHeaders(sink, body) {
+  if (!sink.secret) return {};
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const hmac = crypto.createHmac('sha256', sink.secret).update(`${timestamp}.${body}`).digest('hex');
+  return { 'X-Timestamp': timestamp, 'X-Signature-256': `sha256=${hmac}` };
+}
+
+async function postHttp(sink, body) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const res = await fetch(sink.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...sink.headers, ...signatureHeaders(sink, body) },
+        body,
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+      });
+      if (res.ok) return;
+      // Client errors will not succeed on retry
+      if (res.status < 500 && res.status !== 429) throw Object.assign(new Error(`HTTP ${res.status}`), { permanent: true });
+      throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      if (err.permanent || attempt >= HTTP_ATTEMPTS) throw err;
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+  }
+}
+
+// Starts posts from the sink's queue until `concurrency` are in flight
+function pump(sink) {
+  while (sink.active < sink.concurrency && sink.queue.length) {
+    const item = sink.queue.shift();
+    sink.active += 1;
+    postHttp(sink, item.body)
+      .catch(err => console.error(`[Sink] ${sink.name} (${item.type}) failed:`, err.message))
+      .finally(() => {
+        sink.active -= 1;
+        pump(sink);
+      });
+  }
+}
+
+function enqueueHttp(sink, events) {
+  for (const evt of events) sink.queue.push({ type: evt.type, body: serialize(evt) });
+  const excess = sink.queue.length - sink.maxQueue;
+  if (excess > 0) {
+    sink.queue.splice(0, excess);
+    console.error(`[Sink] ${sink.name}: queue full, dropped ${excess} event(s)`);
+  }
+  pump(sink);
+}
+
+function pendingPosts() {
+  return sinks.reduce((n, sink) => n + (sink.type === 'http' ? sink.queue.length + sink.active : 0), 0);
+}
+
+// Hands the events to every sink whose filter matches. File and stdout writes are synchronous,
+// HTTP posts are queued and run in the background.
+function writeSinks(events) {
+  if (!sinks.length || !events.length) return;
+  for (const sink of sinks) {
+    const selected = events.filter(evt => accepts(sink, evt));
+    if (!selected.length) continue;
+    try {
+      if (sink.type === 'stdout') {
+        process.stdout.write(selected.map(serialize).join('\n') + '\n');
+      } else if (sink.type === 'file') {
+        writeFile(sink, selected.map(serialize).join('\n') + '\n');
+      } else if (sink.type === 'http') {
+        enqueueHttp(sink, selected);
+      }
+    } catch (err) {
+      console.error(`[Sink] ${sink.name} failed:`, err.message);
+    }
+  }
+}
+
+// Waits for queued and in-flight HTTP posts (used on shutdown); returns how many were left
+async function flushSinks(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (pendingPosts() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return pendingPosts();
+}
+
+module.exports = {
+  openSinks,
+  writeSinks,
+  flushSinks
+};
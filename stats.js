@@ -0,0 +1,214 @@
+// Kill statistics computed from the event store
+// Per player: kills, deaths, K/D, longest kill, headshot ratio, favourite weapon and best killstreak.
+// Also schedules daily/weekly summary reports (state in data/stats.json).
+
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder } = require('discord.js');
+const { EVENT_TYPES } = require('./parser');
+const { queryEvents } = require('./store');
+const { t, translator } = require('./i18n');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METRICS = {
+  kills: { value: p => p.kills, format: p => String(p.kills) },
+  kd: { value: p => p.kd, format: p => p.kd.toFixed(2) },
+  longest: { value: p => p.longestKill ? p.longestKill.distance : 0, format: p => p.longestKill ? `${p.longestKill.distance} m` : '-' },
+  streak: { value: p => p.bestStreak, format: p => String(p.bestStreak) },
+  headshots: { value: p => p.headshotRatio, format: p => `${Math.round(p.headshotRatio * 100)}%` }
+};
+
+function metricLabel(metric, locale) {
+  return t(locale, `stats.metric.${METRICS[metric] ? metric : 'kills'}`);
+}
+
+function isHeadshot(evt) {
+  return /head|brain/i.test(evt.hitZone || '');
+}
+
+function playerEntry(map, name, steamId) {
+  const key = steamId || `name:${String(name).toLowerCase()}`;
+  if (!map.has(key)) {
+    map.set(key, { name, steamId, kills: 0, deaths: 0, headshots: 0, weapons: {}, streak: 0, bestStreak: 0, longestKill: null });
+  }
+  const entry = map.get(key);
+  if (name) entry.name = name;
+  return entry;
+}
+
+// `events` oldest first
+function computeStats(events) {
+  const players = new Map();
+  for (const evt of events) {
+    if (evt.type === EVENT_TYPES.KILL) {
+      if (evt.killer && evt.killer !== evt.victim) {
+        const killer = playerEntry(players, evt.killer, evt.killerSteamId);
+        killer.kills += 1;
+        killer.streak += 1;
+        killer.bestStreak = Math.max(killer.bestStreak, killer.streak);
+        if (isHeadshot(evt)) killer.headshots += 1;
+        if (evt.weapon) killer.weapons[evt.weapon] = (killer.weapons[evt.weapon] || 0) + 1;
+        if (evt.distance != null && (!killer.longestKill || evt.distance > killer.longestKill.distance)) {
+          killer.longestKill = { distance: evt.distance, victim: evt.victim, weapon: evt.weapon, timestamp: evt.timestamp };
+        }
+      }
+      if (evt.victim) {
+        const victim = playerEntry(players, evt.victim, evt.victimSteamId);
+        victim.deaths += 1;
+        victim.streak = 0;
+      }
+    } else if (evt.type === EVENT_TYPES.DEATH && evt.player) {
+      const victim = playerEntry(players, evt.player, evt.steamId);
+      victim.deaths += 1;
+      victim.streak = 0;
+    }
+  }
+
+  return [...players.values()].map(p => {
+    const favourite = Object.entries(p.weapons).sort((a, b) => b[1] - a[1])[0];
+    return {
+      name: p.name,
+      steamId: p.steamId,
+      kills: p.kills,
+      deaths: p.deaths,
+      kd: p.deaths ? p.kills / p.deaths : p.kills,
+      headshots: p.headshots,
+      headshotRatio: p.kills ? p.headshots / p.kills : 0,
+      longestKill: p.longestKill,
+      favouriteWeapon: favourite ? favourite[0] : undefined,
+      bestStreak: p.bestStreak,
+      currentStreak: p.streak
+    };
+  });
+}
+
+function statsFor({ server, since } = {}) {
+  const events = queryEvents({ types: [EVENT_TYPES.KILL, EVENT_TYPES.DEATH], server, since }).reverse();
+  return computeStats(events);
+}
+
+function leaderboard(stats, metric = 'kills', limit = 10) {
+  const m = METRICS[metric] || METRICS.kills;
+  return stats
+    .filter(p => p.kills > 0 || metric === 'kd')
+    .sort((a, b) => m.value(b) - m.value(a) || b.kills - a.kills)
+    .slice(0, limit);
+}
+
+function buildLeaderboardEmbed(stats, { title, metric = 'kills', server, limit = 10, locale } = {}) {
+  const m = METRICS[metric] || METRICS.kills;
+  const top = leaderboard(stats, metric, limit);
+  const lines = top.map((p, i) =>
+    `**${i + 1}.** ${p.name || p.steamId} — ${m.format(p)} (${p.kills}/${p.deaths})`);
+  const embed = new EmbedBuilder()
+    .setTitle(title || t(locale, 'stats.leaderboard.title', { metric: metricLabel(metric, locale) }))
+    .setColor(0xFEE75C)
+    .setDescription(lines.join('\n') || t(locale, 'stats.leaderboard.empty'))
+    .setTimestamp(new Date());
+  if (server) embed.setFooter({ text: server });
+  return embed;
+}
+
+// Period summary: totals plus the highlights of the period
+function buildSummaryEmbed(period, { server, now = Date.now(), locale } = {}) {
+  const tr = translator(locale);
+  const days = period === 'weekly' ? 7 : 1;
+  const stats = statsFor({ server, since: new Date(now - days * DAY_MS) });
+  const totalKills = stats.reduce((sum, p) => sum + p.kills, 0);
+  const totalDeaths = stats.reduce((sum, p) => sum + p.deaths, 0);
+  const embed = buildLeaderboardEmbed(stats, {
+    title: tr(period === 'weekly' ? 'stats.summary.weekly' : 'stats.summary.daily'),
+    server,
+    limit: 5,
+    locale
+  });
+  embed.addFields(
+    { name: tr('stats.totalKills'), value: String(totalKills), inline: true },
+    { name: tr('stats.totalDeaths'), value: String(totalDeaths), inline: true }
+  );
+  const longest = stats.filter(p => p.longestKill).sort((a, b) => b.longestKill.distance - a.longestKill.distance)[0];
+  if (longest) {
+    const k = longest.longestKill;
+    const value = tr('stats.longestValue', { player: longest.name, distance: k.distance, victim: k.victim || '?' });
+    embed.addFields({ name: tr('stats.longest'), value: `${value}${k.weapon ? ` (${k.weapon})` : ''}` });
+  }
+  const streak = leaderboard(stats, 'streak', 1)[0];
+  if (streak && streak.bestStreak > 1) {
+    embed.addFields({ name: tr('stats.bestStreak'), value: `${streak.name}: ${streak.bestStreak}`, inline: true });
+  }
+  const headshots = leaderboard(stats.filter(p => p.kills >= 3), 'headshots', 1)[0];
+  if (headshots && headshots.headshots) {
+    const value = tr('stats.bestAimValue', { player: headshots.name, ratio: Math.round(headshots.headshotRatio * 100) });
+    embed.addFields({ name: tr('stats.bestAim'), value, inline: true });
+  }
+  return embed;
+}
+
+function localDay(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function periodKey(period, date) {
+  const d = new Date(date);
+  if (period === 'daily') return localDay(d);
+  // Weeks are keyed by their Monday
+  const monday = new Date(d);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return `w${localDay(monday)}`;
+}
+
+// Posts each configured report once per period after `hour` (local time).
+// `send(server, embed)` does the delivery.
+function scheduleReports(dataDir, { periods, hour = 0, servers, send }) {
+  if (!periods.length) return null;
+  const file = path.join(dataDir, 'stats.json');
+  let sent = null;
+  try {
+    sent = JSON.parse(fs.readFileSync(file, 'utf8')).lastReports || {};
+  } catch (_) {
+    // First run: start with the next period instead of posting right away
+    sent = {};
+    periods.forEach(period => { sent[period] = periodKey(period, new Date()); });
+    try {
+      fs.writeFileSync(file, JSON.stringify({ lastReports: sent }, null, 2));
+    } catch (err) {
+      console.error('[Stats] Save failed:', err.message);
+    }
+  }
+
+  async function check() {
+    const now = new Date();
+    if (now.getHours() < hour) return;
+    for (const period of periods) {
+      const key = periodKey(period, now);
+      if (sent[period] === key) continue;
+      sent[period] = key;
+      try {
+        fs.writeFileSync(file, JSON.stringify({ lastReports: sent }, null, 2));
+      } catch (err) {
+        console.error('[Stats] Save failed:', err.message);
+      }
+      for (const server of servers) {
+        await send(server, buildSummaryEmbed(period, { server: server.name, now: now.getTime(), locale: server.locale }));
+      }
+    }
+  }
+
+  const timer = setInterval(() => {
+    check().catch(err => console.error('[Stats] Report failed:', err.message));
+  }, 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  METRICS,
+  metricLabel,
+  computeStats,
+  statsFor,
+  leaderboard,
+  buildLeaderboardEmbed,
+  buildSummaryEmbed,
+  scheduleReports
+};
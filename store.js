@@ -0,0 +1,314 @@
+// Persistent event store
+// Every parsed event is appended as NDJSON to a daily file under data/events/ (YYYY-MM-DD.ndjson).
+// Files older than the retention window are deleted. Only the indexes live in memory: for every
+// event its file, byte range, type, server and time, plus lookups by type, player name and SteamID.
+// Queries read the matching lines back from the daily files.
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+// Lines read from disk at a time while a query scans its candidates
+const READ_BATCH = 200;
+
+// Fields that name a player involved in an event
+const PLAYER_FIELDS = ['player', 'killer', 'victim', 'attacker', 'target'];
+const STEAM_FIELDS = ['steamId', 'killerSteamId', 'victimSteamId'];
+
+let dir = null;
+let retentionDays = 0;
+// One entry per stored event, oldest first: { day, offset, length, id, type, server, at }
+let refs = [];
+let seq = 0;
+let cleanupTimer = null;
+const byType = new Map();
+const byName = new Map();
+const bySteamId = new Map();
+const byId = new Map();
+// lowercase name -> { name, idx } with the most recent event naming the player
+const names = new Map();
+// day file -> size in bytes, where the next append starts
+const sizes = new Map();
+
+function revive(evt) {
+  if (evt.timestamp) evt.timestamp = new Date(evt.timestamp);
+  return evt;
+}
+
+function pushIndex(map, key, idx) {
+  if (!map.has(key)) map.set(key, []);
+  const list = map.get(key);
+  // The same name can appear in several fields of one event (e.g. suicide)
+  if (list[list.length - 1] !== idx) list.push(idx);
+}
+
+function indexEvent(evt, day, offset, length) {
+  const idx = refs.length;
+  const at = evt.timestamp ? new Date(evt.timestamp).getTime() : null;
+  refs.push({ day, offset, length, id: evt.id, type: evt.type, server: evt.server, at });
+  pushIndex(byType, evt.type, idx);
+  if (evt.id) byId.set(evt.id, idx);
+  for (const field of PLAYER_FIELDS) {
+    if (!evt[field]) continue;
+    const key = String(evt[field]).toLowerCase();
+    pushIndex(byName, key, idx);
+    names.set(key, { name: String(evt[field]), idx });
+  }
+  for (const field of STEAM_FIELDS) {
+    if (evt[field]) pushIndex(bySteamId, String(evt[field]), idx);
+  }
+}
+
+function resetIndexes() {
+  refs = [];
+  byType.clear();
+  byName.clear();
+  bySteamId.clear();
+  byId.clear();
+  names.clear();
+  sizes.clear();
+}
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function dayFiles() {
+  try {
+    return fs.readdirSync(dir).filter(name => DAY_FILE.test(name)).sort();
+  } catch (_) {
+    return [];
+  }
+}
+
+// Scans the daily files and rebuilds the indexes
+function loadIndexes() {
+  resetIndexes();
+  for (const name of dayFiles()) {
+    const buf = fs.readFileSync(path.join(dir, name));
+    let start = 0;
+    while (start < buf.length) {
+      let end = buf.indexOf(0x0A, start);
+      if (end < 0) end = buf.length;
+      if (end > start) {
+        try {
+          indexEvent(JSON.parse(buf.toString('utf8', start, end)), name, start, end - start);
+        } catch (_) { /* skip torn line */ }
+      }
+      start = end + 1;
+    }
+    sizes.set(name, buf.length);
+  }
+}
+
+// Reads the events at the given positions, in the same order
+function readEvents(positions) {
+  const out = new Array(positions.length);
+  const byDay = new Map();
+  positions.forEach((idx, n) => {
+    const day = refs[idx].day;
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(n);
+  });
+  for (const [day, slots] of byDay) {
+    let fd;
+    try {
+      fd = fs.openSync(path.join(dir, day), 'r');
+      for (const n of slots) {
+        const ref = refs[positions[n]];
+        const buf = Buffer.alloc(ref.length);
+        fs.readSync(fd, buf, 0, ref.length, ref.offset);
+        out[n] = revive(JSON.parse(buf.toString('utf8')));
+      }
+    } catch (err) {
+      console.error(`[Store] Read failed for ${day}:`, err.message);
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+  return out.filter(Boolean);
+}
+
+// Drop daily files past the retention window; returns the removed file names
+function applyRetention(now = Date.now()) {
+  if (!dir || !retentionDays) return [];
+  const cutoff = dayKey(now - retentionDays * DAY_MS);
+  const removed = [];
+  for (const name of dayFiles()) {
+    if (name.slice(0, 10) >= cutoff) continue;
+    try {
+      fs.unlinkSync(path.join(dir, name));
+      removed.push(name);
+    } catch (err) {
+      console.error(`[Store] Delete failed for ${name}:`, err.message);
+    }
+  }
+  // Positions shift without the expired days: index the remaining files again
+  if (removed.length) loadIndexes();
+  return removed;
+}
+
+function openStore(dataDir, options = {}) {
+  dir = path.join(dataDir, 'events');
+  retentionDays = Number(options.retentionDays || 0);
+  fs.mkdirSync(dir, { recursive: true });
+  resetIndexes();
+  applyRetention();
+  loadIndexes();
+
+  if (cleanupTimer) clearInterval(cleanupTimer);
+  if (retentionDays) {
+    cleanupTimer = setInterval(applyRetention, 6 * 60 * 60 * 1000);
+    cleanupTimer.unref();
+  }
+  return refs.length;
+}
+
+function nextId() {
+  seq = (seq + 1) % 1679616;
+  return `${Date.now().toString(36)}-${seq.toString(36).padStart(4, '0')}`;
+}
+
+// Appends events (assigning id/storedAt) and indexes them
+function appendEvents(list) {
+  if (!dir || !list.length) return [];
+  const storedAt = new Date();
+  const stored = list.map(evt => ({ id: nextId(), storedAt: storedAt.toISOString(), ...evt }));
+  const day = `${dayKey(storedAt)}.ndjson`;
+  const file = path.join(dir, day);
+  const lines = stored.map(evt => Buffer.from(JSON.stringify(evt), 'utf8'));
+  let offset;
+  try {
+    if (!sizes.has(day)) sizes.set(day, fs.existsSync(file) ? fs.statSync(file).size : 0);
+    offset = sizes.get(day);
+    fs.appendFileSync(file, Buffer.concat(lines.flatMap(line => [line, Buffer.from('\n')])));
+  } catch (err) {
+    console.error('[Store] Append failed:', err.message);
+    sizes.delete(day);
+    return [];
+  }
+  stored.forEach((evt, i) => {
+    indexEvent(evt, day, offset, lines[i].length);
+    offset += lines[i].length + 1;
+  });
+  sizes.set(day, offset);
+  return stored;
+}
+
+function sameName(a, b) {
+  return a != null && b != null && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// Which role (player/killer/victim/...) a player has in an event, or null
+function involvement(evt, query) {
+  for (const field of STEAM_FIELDS) {
+    if (query.steamId && evt[field] === query.steamId) {
+      if (field === 'killerSteamId') return 'killer';
+      if (field === 'victimSteamId') return 'victim';
+      return evt.type === 'kill' ? 'killer' : 'player';
+    }
+  }
+  for (const field of PLAYER_FIELDS) {
+    if (query.name && sameName(evt[field], query.name)) return field;
+  }
+  return null;
+}
+
+// A player reference is either a 17-digit SteamID or a name
+function playerQuery(value) {
+  const v = String(value || '').trim();
+  return /^\d{17}$/.test(v) ? { steamId: v } : { name: v };
+}
+
+function intersect(a, b) {
+  if (!a) return b;
+  const set = new Set(b);
+  return a.filter(i => set.has(i));
+}
+
+// Candidate positions from the indexes, ascending; null means "scan everything"
+function candidates({ query, types }) {
+  let list = null;
+  if (query) {
+    const hits = query.steamId ? bySteamId.get(query.steamId) : byName.get(query.name.toLowerCase());
+    list = (hits || []).slice();
+  }
+  if (types) {
+    const typed = types.flatMap(t => byType.get(t) || []).sort((x, y) => x - y);
+    list = intersect(list, typed);
+  }
+  return list;
+}
+
+// Newest first. `text` matches the raw line case-insensitively.
+function queryEvents({ player, types, server, since, until, text, limit } = {}) {
+  const query = player ? playerQuery(player) : null;
+  const list = candidates({ query, types });
+  const needle = text ? String(text).toLowerCase() : null;
+  const from = since ? new Date(since).getTime() : null;
+  const to = until ? new Date(until).getTime() : null;
+  const out = [];
+  const total = list ? list.length : refs.length;
+  let batch = [];
+
+  // Loads a batch of candidates and keeps the ones the indexes cannot decide on; true when full
+  const flush = () => {
+    for (const evt of readEvents(batch)) {
+      if (query && !involvement(evt, query)) continue;
+      if (needle && !String(evt.raw || '').toLowerCase().includes(needle)) continue;
+      out.push(evt);
+      if (limit && out.length >= limit) return true;
+    }
+    batch = [];
+    return false;
+  };
+
+  for (let n = total - 1; n >= 0; n--) {
+    const idx = list ? list[n] : n;
+    const ref = refs[idx];
+    if (types && !types.includes(ref.type)) continue;
+    if (server && ref.server !== server) continue;
+    if (from != null && ref.at != null && ref.at < from) continue;
+    if (to != null && ref.at != null && ref.at > to) continue;
+    batch.push(idx);
+    if (batch.length >= READ_BATCH && flush()) return out;
+  }
+  flush();
+  return out;
+}
+
+function getEvent(id) {
+  const idx = byId.get(id);
+  return idx === undefined ? null : readEvents([idx])[0] || null;
+}
+
+// Player names seen in stored events, most recent first
+function knownPlayers(prefix = '', max = 25) {
+  const needle = prefix.toLowerCase();
+  return [...names.entries()]
+    .filter(([key]) => !needle || key.includes(needle))
+    .sort((a, b) => b[1].idx - a[1].idx)
+    .slice(0, max)
+    .map(([, entry]) => entry.name);
+}
+
+function storeStats() {
+  return {
+    events: refs.length,
+    days: dayFiles().length,
+    types: Object.fromEntries([...byType.entries()].map(([type, list]) => [type, list.length]))
+  };
+}
+
+module.exports = {
+  openStore,
+  appendEvents,
+  applyRetention,
+  queryEvents,
+  getEvent,
+  knownPlayers,
+  storeStats,
+  involvement,
+  playerQuery
+};
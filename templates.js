@@ -0,0 +1,142 @@
+// Embed templates per event type loaded from a JSON file (default: data/templates.json)
+// The built-in layouts in index.js are the defaults; a template overrides only what it sets and
+// reloads when the file changes. "*" applies to every type before the type's own template.
+//
+// {
+//   "*": { "thumbnail": "https://example.com/logo.png" },
+//   "kill": {
+//     "title": "☠ {killer} → {victim}",
+//     "description": "{weapon} da {distance} m",
+//     "color": "#C0392B",
+//     "thumbnail": "https://example.com/skull.png",
+//     "footer": "{server} · {location|pretty}",
+//     "fields": ["weapon", "distance", { "name": "Zona", "value": "{hitZone|pretty}", "inline": true }]
+//   }
+// }
+//
+// Placeholders: {field} or {a.b} from the event, {@key} from the locale catalog (i18n.js),
+// {default.title} / {default.description} for the built-in texts. Filters: {location|pretty},
+// {sessionDuration|duration}, {alts|list}, {hits|sequence}, {player|upper}, {player|lower}.
+// "fields" lists built-in fields by key (e.g. "weapon", "steamId", "shots") and/or custom
+// { name, value, inline } objects; custom fields that render empty are left out.
+
+const fs = require('fs');
+const { t } = require('./i18n');
+const { formatDuration } = require('./sessions');
+const { formatHitSequence } = require('./combat');
+
+let templates = {};
+let watchedFile = null;
+
+function pretty(text) {
+  if (!text) return undefined;
+  const value = String(text)
+    .replace(/_/g, ' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  return value || undefined;
+}
+
+const FILTERS = {
+  pretty,
+  upper: v => String(v).toUpperCase(),
+  lower: v => String(v).toLowerCase(),
+  duration: v => formatDuration(Number(v)),
+  list: v => (Array.isArray(v) ? v.slice(0, 10).join(', ') : v),
+  sequence: v => (v && v.sequence ? formatHitSequence(v) : undefined)
+};
+
+function parseColor(value) {
+  if (value == null || value === '') return undefined;
+  if (typeof value === 'number') return value;
+  const hex = String(value).trim().replace(/^#|^0x/i, '');
+  const n = parseInt(hex, 16);
+  return /^[0-9a-f]{1,6}$/i.test(hex) && !Number.isNaN(n) ? n : undefined;
+}
+
+function loadTemplates(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[Templates] Read failed for ${file}:`, err.message);
+    templates = {};
+    return templates;
+  }
+  try {
+    const data = JSON.parse(raw);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object keyed by event type');
+    templates = {};
+    for (const [type, tpl] of Object.entries(data)) {
+      if (tpl.color != null && parseColor(tpl.color) == null) {
+        console.error(`[Templates] ${type}: invalid color "${tpl.color}" ignored`);
+      }
+      templates[type.toLowerCase()] = tpl;
+    }
+  } catch (err) {
+    // Keep the previous templates so a half-saved file does not reset every embed
+    console.error(`[Templates] Invalid JSON in ${file}:`, err.message);
+  }
+  return templates;
+}
+
+// Reload templates whenever the file is modified, without restarting the bot
+function watchTemplates(file, onReload) {
+  if (watchedFile) fs.unwatchFile(watchedFile);
+  watchedFile = file;
+  const watcher = fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    const loaded = loadTemplates(file);
+    if (onReload) onReload(loaded);
+  });
+  watcher.unref();
+}
+
+function lookupPath(obj, dotted) {
+  return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function render(text, vars, locale) {
+  return String(text).replace(/\{(@?[\w.]+)((?:\|\w+)*)\}/g, (_, name, filters) => {
+    let value = name.startsWith('@') ? t(locale, name.slice(1), vars) : lookupPath(vars, name);
+    for (const filter of filters.split('|').filter(Boolean)) {
+      if (value == null) break;
+      if (FILTERS[filter]) value = FILTERS[filter](value);
+    }
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString();
+    return typeof value === 'object' ? '' : String(value);
+  });
+}
+
+// Merges the templates for `evt` into the built-in `layout` ({ title, description, color, fields, ... }).
+// `evt` is the event as templates may see it (sensitive fields already removed).
+function applyTemplate(layout, evt, locale) {
+  const specs = [templates['*'], templates[evt.type]].filter(Boolean);
+  if (!specs.length) return layout;
+  const vars = { ...evt, default: { title: layout.title, description: layout.description } };
+  const out = { ...layout };
+  for (const spec of specs) {
+    for (const key of ['title', 'description', 'footer', 'thumbnail', 'image', 'url']) {
+      if (spec[key] != null) out[key] = render(spec[key], vars, locale) || undefined;
+    }
+    const color = parseColor(spec.color);
+    if (color != null) out.color = color;
+    if (Array.isArray(spec.fields)) {
+      out.fields = spec.fields.flatMap(entry => {
+        if (typeof entry === 'string') return layout.fields.filter(f => f.key === entry);
+        const value = render(entry.value ?? '', vars, locale).trim();
+        if (!value) return [];
+        return [{ key: entry.key, name: render(entry.name ?? '\u200b', vars, locale), value, inline: Boolean(entry.inline) }];
+      });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  loadTemplates,
+  watchTemplates,
+  applyTemplate,
+  pretty
+};
@@ -0,0 +1,61 @@
+// Minimal Discord webhook client on top of fetch (Node 18+)
+// Exposes the rate-limit headers so the outbound queue can pace itself.
+
+class WebhookError extends Error {
+  constructor(message, status, retryAfterMs) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function headerSeconds(res, name) {
+  const value = res.headers.get(name);
+  return value != null && value !== '' ? Number(value) : undefined;
+}
+
+// Attachments ([{ name, data }] with base64 data) go as multipart/form-data
+function requestBody(payload) {
+  const { files, ...json } = payload;
+  if (!files || !files.length) {
+    return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(json) };
+  }
+  const form = new FormData();
+  json.attachments = files.map((file, id) => ({ id, filename: file.name }));
+  form.append('payload_json', JSON.stringify(json));
+  files.forEach((file, id) => {
+    form.append(`files[${id}]`, new Blob([Buffer.from(file.data, 'base64')]), file.name);
+  });
+  return { headers: {}, body: form };
+}
+
+// Posts a message payload ({ content, embeds, username, avatar_url, files }) to a webhook URL.
+// Resolves with { remaining, resetAfterMs } from the rate-limit headers.
+async function postWebhook(url, payload) {
+  const target = new URL(url);
+  target.searchParams.set('wait', 'true');
+  const res = await fetch(target, { method: 'POST', ...requestBody(payload) });
+
+  const remaining = headerSeconds(res, 'x-ratelimit-remaining');
+  const resetAfter = headerSeconds(res, 'x-ratelimit-reset-after');
+
+  if (res.status === 429) {
+    const body = await res.json().catch(() => ({}));
+    const retryAfter = body.retry_after != null ? Number(body.retry_after) : headerSeconds(res, 'retry-after') ?? resetAfter ?? 1;
+    throw new WebhookError('Rate limited', 429, Math.ceil(retryAfter * 1000));
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new WebhookError(`Webhook responded ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`, res.status);
+  }
+  return {
+    remaining,
+    resetAfterMs: resetAfter != null ? Math.ceil(resetAfter * 1000) : undefined
+  };
+}
+
+module.exports = {
+  WebhookError,
+  postWebhook
+};
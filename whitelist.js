@@ -0,0 +1,119 @@
+// Whitelist files on the game server: parsing and write-back over FTP
+// Changes made from Discord follow download -> check -> upload: the remote file must still have the
+// hash recorded at the last poll (otherwise someone else edited it and the change is refused), the
+// new content is uploaded next to it and renamed over it, and the previous version is kept in
+// data/whitelist-backups/<server id>/.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough, Readable } = require('stream');
+
+const BACKUPS_KEPT = 20;
+const STEAM_ID = /^7656119\d{10}$/;
+
+function parseWhitelistEntries(content) {
+  return String(content)
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(String(content), 'utf8').digest('hex');
+}
+
+// SteamID of an entry: the first token, comments after it are allowed
+function entryId(entry) {
+  return String(entry).split(/[\s/]/)[0];
+}
+
+function isSteamId(value) {
+  return STEAM_ID.test(String(value).trim());
+}
+
+async function downloadText(client, remotePath) {
+  const parts = [];
+  const stream = new PassThrough();
+  stream.on('data', chunk => parts.push(chunk));
+  await client.downloadTo(stream, remotePath);
+  return Buffer.concat(parts).toString('utf8');
+}
+
+// "550 File exists" and the like: the server refuses to rename over an existing file
+function isExistsError(err) {
+  return Boolean(err && (err.code === 550 || err.code === 553) && /exist/i.test(err.message));
+}
+
+// Upload to a temporary name, then rename over the original so the server never reads half a file.
+// `previous` is the content being replaced, put back if the original had to be removed first and
+// the rename still fails.
+async function uploadText(client, remotePath, content, previous) {
+  const tmp = `${remotePath}.tmp`;
+  await client.uploadFrom(Readable.from([Buffer.from(content, 'utf8')]), tmp);
+  try {
+    await client.rename(tmp, remotePath);
+    return;
+  } catch (err) {
+    if (!isExistsError(err)) throw err;
+  }
+  await client.remove(remotePath);
+  try {
+    await client.rename(tmp, remotePath);
+  } catch (err) {
+    try {
+      await client.uploadFrom(Readable.from([Buffer.from(previous, 'utf8')]), remotePath);
+    } catch (restoreErr) {
+      err.message += ` (restoring ${remotePath} failed too: ${restoreErr.message})`;
+    }
+    throw err;
+  }
+}
+
+function backupWhitelist(dataDir, serverId, file, content) {
+  const dir = path.join(dataDir, 'whitelist-backups', serverId);
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.basename(file);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  fs.writeFileSync(path.join(dir, `${base}.${stamp}`), content);
+  const old = fs.readdirSync(dir).filter(name => name.startsWith(`${base}.`)).sort();
+  old.slice(0, Math.max(0, old.length - BACKUPS_KEPT)).forEach(name => fs.unlinkSync(path.join(dir, name)));
+}
+
+// Applies { add: [...], remove: [...] } (SteamIDs) to the remote file.
+// Returns { hash, entries, added, removed }; throws err.code 'CONFLICT' when the remote file no
+// longer matches `expectedHash`.
+async function editWhitelistFile(client, remotePath, { expectedHash, add = [], remove = [], backup }) {
+  const content = await downloadText(client, remotePath);
+  if (expectedHash && hashContent(content) !== expectedHash) {
+    const err = new Error(`${remotePath} changed on the server since the last check`);
+    err.code = 'CONFLICT';
+    throw err;
+  }
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  if (lines.length && lines[lines.length - 1] === '') lines.pop();
+  const present = new Set(parseWhitelistEntries(content).map(entryId));
+  const dropping = new Set(remove.filter(id => present.has(id)));
+  const kept = lines.filter(line => !dropping.has(entryId(line.trim())));
+  const added = [...new Set(add)].filter(id => !present.has(id));
+  const next = kept.concat(added).join(eol) + eol;
+
+  if (!added.length && !dropping.size) {
+    return { hash: hashContent(content), entries: parseWhitelistEntries(content), added, removed: [] };
+  }
+  if (backup) backup(content);
+  await uploadText(client, remotePath, next, content);
+  return { hash: hashContent(next), entries: parseWhitelistEntries(next), added, removed: [...dropping] };
+}
+
+module.exports = {
+  parseWhitelistEntries,
+  hashContent,
+  entryId,
+  isSteamId,
+  downloadText,
+  backupWhitelist,
+  editWhitelistFile
+};
@@ -0,0 +1,211 @@
+// Geofenced zones (default: data/zones.json): alerts when players enter or leave an area, or
+// build inside it. Zones are circles or polygons in map coordinates and reload when the file changes.
+//
+// [
+//   { "name": "Green Mountain trader", "map": "chernarusplus", "circle": { "x": 3700, "y": 6000, "radius": 250 },
+//     "triggers": ["enter", "exit"] },
+//   { "name": "NWAF no-build", "map": "chernarusplus",
+//     "polygon": [[4100, 9800], [5200, 9800], [5200, 10900], [4100, 10900]], "triggers": ["build"] },
+//   { "name": "Base Wolves", "circle": { "x": 7900, "y": 12100, "radius": 120 }, "triggers": ["enter", "build"],
+//     "owners": ["Wolf1", "76561198000000000"], "servers": ["Chernarus"] }
+// ]
+//
+// "map" defaults to every map, "servers" to every server, "triggers" to all three. Players listed
+// in "owners" (name or SteamID) never trigger their own zone. Alerts are ZONE events, routed like
+// any other type (e.g. { "types": ["zone"], "targets": ["<admin channel>"] } in routes.json).
+
+const fs = require('fs');
+const { EVENT_TYPES } = require('./parser');
+const { mapKey, parsePosition, mapLink, nearestLocation } = require('./geo');
+
+const TRIGGERS = ['enter', 'exit', 'build'];
+
+let zones = [];
+let watchedFile = null;
+// server -> Map(player key -> Set(zone name))
+const inside = new Map();
+
+function toList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map(v => String(v).trim()).filter(Boolean);
+}
+
+function compileZone(def, index) {
+  const name = def.name || `zone#${index + 1}`;
+  const zone = {
+    name,
+    map: def.map ? mapKey(def.map) : null,
+    servers: toList(def.servers).map(s => s.toLowerCase()),
+    triggers: toList(def.triggers || TRIGGERS).map(t => t.toLowerCase()).filter(t => TRIGGERS.includes(t)),
+    owners: toList(def.owners).map(o => o.toLowerCase())
+  };
+  if (def.circle) {
+    const { x, y, radius } = def.circle;
+    if (![x, y, radius].every(Number.isFinite)) throw new Error(`${name}: circle needs numeric x, y and radius`);
+    return { ...zone, circle: { x, y, radius } };
+  }
+  if (Array.isArray(def.polygon) && def.polygon.length >= 3) {
+    return { ...zone, polygon: def.polygon.map(([x, y]) => ({ x: Number(x), y: Number(y) })) };
+  }
+  throw new Error(`${name}: needs "circle" or a "polygon" of at least 3 points`);
+}
+
+function loadZones(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[Zones] Read failed for ${file}:`, err.message);
+    zones = [];
+    return zones;
+  }
+
+  let defs;
+  try {
+    const data = JSON.parse(raw);
+    defs = Array.isArray(data) ? data : toList(data.zones);
+  } catch (err) {
+    // Keep the previous zones so a half-saved file does not disable the alerts
+    console.error(`[Zones] Invalid JSON in ${file}:`, err.message);
+    return zones;
+  }
+
+  const compiled = [];
+  defs.forEach((def, i) => {
+    try {
+      compiled.push(compileZone(def, i));
+    } catch (err) {
+      console.error('[Zones] Zone skipped:', err.message);
+    }
+  });
+  zones = compiled;
+  return zones;
+}
+
+// Reload zones whenever the file is modified, without restarting the bot
+function watchZones(file, onReload) {
+  if (watchedFile) fs.unwatchFile(watchedFile);
+  watchedFile = file;
+  const watcher = fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    const loaded = loadZones(file);
+    if (onReload) onReload(loaded);
+  });
+  watcher.unref();
+}
+
+// Ray casting
+function inPolygon(points, pos) {
+  let result = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > pos.y) !== (b.y > pos.y) && pos.x < (b.x - a.x) * (pos.y - a.y) / (b.y - a.y) + a.x) {
+      result = !result;
+    }
+  }
+  return result;
+}
+
+function contains(zone, pos) {
+  if (zone.circle) return Math.hypot(pos.x - zone.circle.x, pos.y - zone.circle.y) <= zone.circle.radius;
+  return inPolygon(zone.polygon, pos);
+}
+
+function zonesFor(server) {
+  const map = mapKey(server.map);
+  const name = String(server.name).toLowerCase();
+  return zones.filter(z => (!z.map || z.map === map) && (!z.servers.length || z.servers.includes(name)));
+}
+
+function isOwner(zone, player, steamId) {
+  return zone.owners.includes(String(player || '').toLowerCase()) || (steamId && zone.owners.includes(String(steamId)));
+}
+
+// Keyed by name: hit and position lines often carry no SteamID
+function playerKey(player) {
+  return String(player || '').toLowerCase();
+}
+
+function serverInside(server) {
+  if (!inside.has(server)) inside.set(server, new Map());
+  return inside.get(server);
+}
+
+function alert(evt, server, zone, trigger, subject) {
+  return {
+    type: EVENT_TYPES.ZONE,
+    zone: zone.name,
+    trigger,
+    player: subject.player,
+    steamId: subject.steamId,
+    object: trigger === 'build' ? evt.object || evt.detail : undefined,
+    pos: subject.pos,
+    mapUrl: mapLink(server.map, subject.pos),
+    nearest: nearestLocation(server.map, subject.pos),
+    server: evt.server,
+    timestamp: evt.timestamp
+  };
+}
+
+// Player positions carried by an event (the victim and the attacker for hits)
+function subjects(evt) {
+  if (evt.type === EVENT_TYPES.HIT) {
+    const attackerPos = parsePosition(evt.attackerPosition);
+    return [
+      { player: evt.victim, pos: evt.pos },
+      { player: evt.attacker, pos: attackerPos }
+    ].filter(s => s.player && s.pos);
+  }
+  return evt.player && evt.pos ? [{ player: evt.player, steamId: evt.steamId, pos: evt.pos }] : [];
+}
+
+function isBuild(evt) {
+  if (evt.type === EVENT_TYPES.OBJECT) return true;
+  return evt.type === EVENT_TYPES.BASE_ACTION && /built|placed/i.test(String(evt.action || ''));
+}
+
+// Returns ZONE alerts caused by `evt` on `server` ({ name, map })
+function processZones(evt, server) {
+  const open = serverInside(server.name);
+  if (evt.type === EVENT_TYPES.DISCONNECT) {
+    open.delete(playerKey(evt.player));
+    return [];
+  }
+  if (evt.type === EVENT_TYPES.SERVER && evt.closedSessions != null) {
+    open.clear();
+    return [];
+  }
+
+  const active = zonesFor(server);
+  if (!active.length) return [];
+  const out = [];
+  for (const subject of subjects(evt)) {
+    const key = playerKey(subject.player);
+    const was = open.get(key) || new Set();
+    const now = new Set();
+    for (const zone of active) {
+      if (!contains(zone, subject.pos)) continue;
+      now.add(zone.name);
+      if (isOwner(zone, subject.player, subject.steamId)) continue;
+      if (!was.has(zone.name) && zone.triggers.includes('enter')) out.push(alert(evt, server, zone, 'enter', subject));
+      if (isBuild(evt) && zone.triggers.includes('build')) out.push(alert(evt, server, zone, 'build', subject));
+    }
+    for (const name of was) {
+      if (now.has(name)) continue;
+      const zone = active.find(z => z.name === name);
+      if (zone && zone.triggers.includes('exit') && !isOwner(zone, subject.player, subject.steamId)) {
+        out.push(alert(evt, server, zone, 'exit', subject));
+      }
+    }
+    if (now.size) open.set(key, now);
+    else open.delete(key);
+  }
+  return out;
+}
+
+module.exports = {
+  loadZones,
+  watchZones,
+  processZones
+};